@@ -0,0 +1,36 @@
+/**
+ * Errors of calendars and the modules built on them.
+ */
+
+/**
+ * Error thrown by builders in strict mode, and listed by
+ * `CalendarBuilder#validate`, for input that is rejected.
+ * `code` tells what kind of input it is and `value` holds it.
+ * @param {String} code
+ * @param {String} message
+ * @param {*} value
+ * @returns {Error}
+ */
+let createValidationError = function (code, message, value) {
+    let validationError = new Error(message);
+    validationError.name = "CalendarValidationError";
+    validationError.code = code;
+    validationError.value = value;
+    return validationError;
+};
+
+/**
+ * Error thrown for calendar documents that cannot be read.
+ * @param {String} message
+ * @returns {Error}
+ */
+let createSchemaError = function (message) {
+    let schemaError = new Error(message);
+    schemaError.name = "CalendarSchemaError";
+    return schemaError;
+};
+
+module.exports = {
+    createValidationError: createValidationError,
+    createSchemaError: createSchemaError
+};
@@ -0,0 +1,350 @@
+/**
+ * Reading and writing of iCalendar (RFC 5545) text as far as
+ * calendars need it: VEVENTs with their dates, durations and
+ * recurrence rules. Dates are read as wall-clock times, Dates
+ * whose UTC fields read as the time written, together with the
+ * time-zone they are written in.
+ */
+
+let WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+let ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurrence rule parts that are understood. Rules using any
+ * other part are reported as unsupported.
+ */
+let RULE_PARTS = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY", "BYMONTH", "WKST"];
+
+let unescapeText = function (text) {
+    return text.replace(/\\([\\;,nN])/g, (match, character) => character.toLowerCase() == "n" ? "\n" : character);
+};
+
+let escapeText = function (text) {
+    return String(text).replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+};
+
+/**
+ * Splits a content line into its name, parameters and value.
+ * @param {String} line
+ * @returns {object} `null` when the line is malformed
+ */
+let parseLine = function (line) {
+    let match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/.exec(line);
+    if (!match) return null;
+    let params = {};
+    let paramPattern = /;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:,]*))*)/g;
+    let param;
+    while ((param = paramPattern.exec(match[2]))) {
+        params[param[1].toUpperCase()] = param[2].replace(/"/g, "");
+    }
+    return { name: match[1].toUpperCase(), params: params, value: match[3] };
+};
+
+/**
+ * Reads a DATE or DATE-TIME value.
+ * @param {String} value
+ * @param {object} params
+ * @returns {object} `{ wallTime, isDate, isUTC, timeZone }`, `null`
+ * when the value is invalid
+ */
+let parseDate = function (value, params) {
+    let match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    let isDate = match[4] === undefined;
+    let wallTime = Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0));
+    return {
+        wallTime: wallTime,
+        isDate: isDate || (params && params.VALUE == "DATE"),
+        isUTC: !!match[7],
+        timeZone: !match[7] && params && params.TZID ? params.TZID : null
+    };
+};
+
+/**
+ * Reads a DURATION value such as "P1D" or "PT1H30M".
+ * @param {String} value
+ * @returns {number} Milliseconds, `null` when the value is invalid
+ */
+let parseDuration = function (value) {
+    let match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match || value.trim().replace(/^[+-]/, "") == "P") return null;
+    let milliSecs = ((((+(match[2] || 0) * 7 + +(match[3] || 0)) * 24 + +(match[4] || 0)) * 60 + +(match[5] || 0)) * 60 + +(match[6] || 0)) * 1000;
+    return match[1] == "-" ? -milliSecs : milliSecs;
+};
+
+/**
+ * Reads an RRULE value.
+ * @param {String} value
+ * @returns {object} `null` when the rule is invalid
+ */
+let parseRule = function (value) {
+    let rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], unsupported: [] };
+    let parts = value.split(";");
+    for (let i = 0; i < parts.length; i++) {
+        let pair = parts[i].split("=");
+        let name = pair[0].toUpperCase();
+        let partValue = (pair[1] || "").toUpperCase();
+        if (RULE_PARTS.indexOf(name) == -1) {
+            rule.unsupported.push(name);
+            continue;
+        }
+        let numbers = partValue.split(",").map(number => parseInt(number));
+        switch (name) {
+            case "FREQ":
+                if (["YEARLY", "MONTHLY", "WEEKLY", "DAILY"].indexOf(partValue) == -1) rule.unsupported.push("FREQ=" + partValue);
+                rule.frequency = partValue;
+                break;
+            case "INTERVAL":
+                rule.interval = numbers[0];
+                if (!(rule.interval >= 1)) return null;
+                break;
+            case "COUNT":
+                rule.count = numbers[0];
+                if (!(rule.count >= 1)) return null;
+                break;
+            case "UNTIL":
+                rule.until = parseDate(partValue, {});
+                if (!rule.until) return null;
+                break;
+            case "BYDAY":
+                for (let j = 0; j < partValue.split(",").length; j++) {
+                    let match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(partValue.split(",")[j]);
+                    if (!match) return null;
+                    rule.byDay.push({ day: WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1]) : 0 });
+                }
+                break;
+            case "BYMONTHDAY":
+                if (numbers.some(number => Number.isNaN(number) || number == 0 || Math.abs(number) > 31)) return null;
+                rule.byMonthDay = numbers;
+                break;
+            case "BYMONTH":
+                if (numbers.some(number => !(number >= 1 && number <= 12))) return null;
+                rule.byMonth = numbers.map(number => number - 1);
+                break;
+        }
+    }
+    if (!rule.frequency) return null;
+    return rule;
+};
+
+/**
+ * Reads the VEVENTs of iCalendar text. Components nested in
+ * events, such as alarms, are skipped.
+ * @param {String} text
+ * @returns {object[]}
+ */
+let parse = function (text) {
+    if (typeof text != "string" || !/^\s*BEGIN:VCALENDAR/i.test(text)) throw new Error("iCalendar text is invalid");
+    let lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    let events = [];
+    let event = null;
+    let depth = 0;
+    lines.forEach(rawLine => {
+        if (!rawLine.trim()) return;
+        let line = parseLine(rawLine);
+        if (!line) return;
+        if (line.name == "BEGIN") {
+            if (event) depth++;
+            else if (line.value.toUpperCase() == "VEVENT") event = { exceptionDates: [], errors: [] };
+            return;
+        }
+        if (line.name == "END") {
+            if (event && depth) depth--;
+            else if (event && line.value.toUpperCase() == "VEVENT") {
+                events.push(event);
+                event = null;
+            }
+            return;
+        }
+        if (!event || depth) return;
+        switch (line.name) {
+            case "UID":
+            case "SUMMARY":
+            case "DESCRIPTION":
+            case "CATEGORIES":
+                event[line.name.toLowerCase()] = unescapeText(line.value);
+                break;
+            case "STATUS":
+            case "TRANSP":
+                event[line.name.toLowerCase()] = line.value.toUpperCase();
+                break;
+            case "DTSTART":
+            case "DTEND":
+                event[line.name == "DTSTART" ? "start" : "end"] = parseDate(line.value, line.params);
+                if (!event[line.name == "DTSTART" ? "start" : "end"]) event.errors.push(line.name);
+                break;
+            case "DURATION":
+                event.duration = parseDuration(line.value);
+                if (event.duration === null) event.errors.push(line.name);
+                break;
+            case "RRULE":
+                event.rule = parseRule(line.value);
+                if (!event.rule) event.errors.push(line.name);
+                break;
+            case "EXDATE":
+                line.value.split(",").forEach(value => {
+                    let date = parseDate(value, line.params);
+                    if (date) event.exceptionDates.push(date);
+                    else event.errors.push(line.name);
+                });
+                break;
+        }
+    });
+    return events;
+};
+
+/**
+ * Days of the month of `monthStart` matching the BYDAY and
+ * BYMONTHDAY parts of `rule`, as wall-clock day starts.
+ * @param {number} monthStart
+ * @param {object} rule
+ * @param {number} fallbackDate - Day of the month without either part
+ * @returns {number[]}
+ */
+let getMonthDays = function (monthStart, rule, fallbackDate) {
+    let first = new Date(monthStart);
+    let length = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    let dates = [];
+    if (rule.byMonthDay.length) {
+        dates = rule.byMonthDay.map(date => date > 0 ? date : length + date + 1).filter(date => date >= 1 && date <= length);
+    } else if (!rule.byDay.length) {
+        if (fallbackDate <= length) dates = [fallbackDate];
+    } else {
+        for (let date = 1; date <= length; date++) dates.push(date);
+    }
+    if (rule.byDay.length) {
+        dates = dates.filter(date => rule.byDay.some(byDay => {
+            let day = (first.getUTCDay() + date - 1) % 7;
+            if (day != byDay.day) return false;
+            if (!byDay.nth) return true;
+            if (byDay.nth > 0) return Math.ceil(date / 7) == byDay.nth;
+            return Math.ceil((length - date + 1) / 7) == -byDay.nth;
+        }));
+    }
+    return dates.map(date => monthStart + (date - 1) * ONE_DAY);
+};
+
+/**
+ * Expands a recurrence rule into the wall-clock start times
+ * of its occurrences, `start` first, up to `limit` included.
+ * @param {number} start - Wall-clock time of DTSTART
+ * @param {object} rule - As read by `parseRule`
+ * @param {number} until - Wall-clock limit of UNTIL, if any
+ * @param {number} limit - Wall-clock limit of the expansion
+ * @returns {number[]}
+ */
+let expand = function (start, rule, until, limit) {
+    let startDate = new Date(start);
+    let timeOfDay = start % ONE_DAY;
+    let startDay = start - timeOfDay;
+    if (until !== undefined && until !== null) limit = Math.min(limit, until);
+    let occurrences = [start];
+    let isWithinBounds = () => occurrences.length < (rule.count || Infinity);
+
+    for (let period = 0; isWithinBounds(); period += rule.interval) {
+        let days = [];
+        let periodStart;
+        if (rule.frequency == "DAILY") {
+            periodStart = startDay + period * ONE_DAY;
+            days = [periodStart];
+        } else if (rule.frequency == "WEEKLY") {
+            let weekStart = startDay - ((startDate.getUTCDay() + 6) % 7) * ONE_DAY;
+            periodStart = weekStart + period * 7 * ONE_DAY;
+            let weekDays = rule.byDay.length ? rule.byDay.map(byDay => byDay.day) : [startDate.getUTCDay()];
+            for (let i = 0; i < 7; i++) {
+                if (weekDays.indexOf((i + 1) % 7) != -1) days.push(periodStart + i * ONE_DAY);
+            }
+        } else if (rule.frequency == "MONTHLY") {
+            periodStart = Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + period, 1);
+            days = getMonthDays(periodStart, rule, startDate.getUTCDate());
+        } else {
+            let year = startDate.getUTCFullYear() + period;
+            periodStart = Date.UTC(year, 0, 1);
+            let months = rule.byMonth.length ? rule.byMonth : [startDate.getUTCMonth()];
+            if (!rule.byMonth.length && (rule.byMonthDay.length || rule.byDay.length)) {
+                months = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+            }
+            months.forEach(month => {
+                days = days.concat(getMonthDays(Date.UTC(year, month, 1), rule, startDate.getUTCDate()));
+            });
+            if (!rule.byMonth.length && rule.byDay.some(byDay => byDay.nth)) {
+                // Nth weekday of the whole year
+                let yearLength = (Date.UTC(year + 1, 0, 1) - periodStart) / ONE_DAY;
+                days = [];
+                for (let i = 0; i < yearLength; i++) {
+                    let day = periodStart + i * ONE_DAY;
+                    let weekDay = new Date(day).getUTCDay();
+                    if (rule.byDay.some(byDay => byDay.day == weekDay
+                        && (byDay.nth > 0 ? Math.ceil((i + 1) / 7) == byDay.nth
+                            : !byDay.nth || Math.ceil((yearLength - i) / 7) == -byDay.nth))) days.push(day);
+                }
+            }
+        }
+        if (periodStart > limit) break;
+        days = days.filter(day => !rule.byMonth.length || rule.byMonth.indexOf(new Date(day).getUTCMonth()) != -1)
+            .sort((a, b) => a - b);
+        for (let i = 0; i < days.length && isWithinBounds(); i++) {
+            let occurrence = days[i] + timeOfDay;
+            if (occurrence <= start) continue;
+            if (occurrence > limit) return occurrences;
+            occurrences.push(occurrence);
+        }
+    }
+    return occurrences;
+};
+
+let formatDate = function (date, isDate) {
+    let string = new Date(date).toISOString().replace(/[-:]/g, "");
+    return isDate ? string.slice(0, 8) : string.slice(0, 15) + "Z";
+};
+
+/**
+ * Folds a content line to lines of at most 75 characters.
+ * @param {String} line
+ * @returns {String}
+ */
+let foldLine = function (line) {
+    let folded = line.slice(0, 75);
+    for (let i = 75; i < line.length; i += 74) folded += "\r\n " + line.slice(i, i + 74);
+    return folded;
+};
+
+/**
+ * Writes events as iCalendar text.
+ * @param {object[]} events
+ * @param {String} events[].uid
+ * @param {Date} events[].start - Instant, or wall-clock day when all-day
+ * @param {Date} events[].end - Exclusive
+ * @param {boolean} events[].isAllDay
+ * @param {String} events[].summary
+ * @param {boolean} events[].isTransparent - Shown as free time
+ * @returns {String}
+ */
+let format = function (events) {
+    let stamp = formatDate(new Date(), false);
+    let lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//gantt-calendar//EN", "CALSCALE:GREGORIAN"];
+    events.forEach(event => {
+        lines.push("BEGIN:VEVENT");
+        lines.push("UID:" + escapeText(event.uid));
+        lines.push("DTSTAMP:" + stamp);
+        if (event.isAllDay) {
+            lines.push("DTSTART;VALUE=DATE:" + formatDate(event.start, true));
+            lines.push("DTEND;VALUE=DATE:" + formatDate(event.end, true));
+        } else {
+            lines.push("DTSTART:" + formatDate(event.start, false));
+            lines.push("DTEND:" + formatDate(event.end, false));
+        }
+        lines.push("SUMMARY:" + escapeText(event.summary));
+        lines.push("TRANSP:" + (event.isTransparent ? "TRANSPARENT" : "OPAQUE"));
+        lines.push("END:VEVENT");
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+    parse: parse,
+    expand: expand,
+    format: format
+};
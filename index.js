@@ -1,21 +1,500 @@
 /**
  * @author Rakesh Samaddar
  * @since 2018-12-26
- * 
+ *
  */
 
+let ics = require("./ics");
+let mspdi = require("./mspdi");
+let { createSchemaError, createValidationError } = require("./errors");
+
+/**
+ * Internally every date is kept as "wall-clock time": a Date whose
+ * UTC fields read as the calendar's local time. The helpers below
+ * convert between real instants and wall-clock time, either with
+ * the fixed offset of the calendar or with an IANA time-zone.
+ */
+let zoneFormatters = {};
+
+/**
+ * Offset of an IANA time-zone at the given instant, in minutes.
+ * Same sign convention as `Date.prototype.getTimezoneOffset`.
+ * @param {String} timeZone
+ * @param {number} instant
+ * @returns {number}
+ */
+let getZoneOffset = function (timeZone, instant) {
+    let formatter = zoneFormatters[timeZone];
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat("en-US", {
+            timeZone: timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        });
+        zoneFormatters[timeZone] = formatter;
+    }
+    let parts = {};
+    formatter.formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    let wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return (Math.floor(instant / 1000) * 1000 - wallTime) / (60 * 1000);
+};
+
+/**
+ * Checks whether the runtime knows the IANA time-zone.
+ * @param {String} timeZone
+ * @returns {boolean}
+ */
+let isValidTimeZone = function (timeZone) {
+    if (typeof timeZone != "string" || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Configuration holding the time-zone of a calendar. Calendars
+ * built on a base calendar use its time-zone unless they set
+ * their own.
+ * @param {object} config - Calendar configuration
+ * @returns {object}
+ */
+let getTimeZoneConfig = function (config) {
+    if (config.isTimeZoneSet || config.isTimeZoneOffsetSet || !config.baseCalendar) return config;
+    return getTimeZoneConfig(getLatestCalendar(config.baseCalendar).config);
+};
+
+/**
+ * Offset of the calendar at the given instant, in minutes.
+ * @param {object} config - Calendar configuration
+ * @param {number} instant
+ * @returns {number}
+ */
+let getCalendarOffset = function (config, instant) {
+    config = getTimeZoneConfig(config);
+    if (config.timeZone) return getZoneOffset(config.timeZone, instant);
+    return config.timeZoneOffset + (new Date()).getTimezoneOffset();
+};
+
+/**
+ * Converts an instant into the wall-clock time of the calendar.
+ * @param {object} config - Calendar configuration
+ * @param {Date} date
+ * @returns {Date}
+ */
+let toWallTime = function (config, date) {
+    let instant = date.valueOf();
+    return new Date(instant - getCalendarOffset(config, instant) * 60 * 1000);
+};
+
+/**
+ * Instants a wall-clock time of the calendar stands for, the
+ * earlier first: two for times repeated by a DST switch, one
+ * otherwise. Times skipped by a switch are moved forward by the gap.
+ * @param {object} config - Calendar configuration
+ * @param {Date} date
+ * @returns {Date[]}
+ */
+let getInstants = function (config, date) {
+    config = getTimeZoneConfig(config);
+    let wallTime = date.valueOf();
+    if (!config.timeZone) return [new Date(wallTime + getCalendarOffset(config, wallTime) * 60 * 1000)];
+
+    let oneDay = 24 * 60 * 60 * 1000;
+    let offsetBefore = getZoneOffset(config.timeZone, wallTime - oneDay);
+    let offsetAfter = getZoneOffset(config.timeZone, wallTime + oneDay);
+    let candidates = [offsetBefore, offsetAfter]
+        .map(offset => wallTime + offset * 60 * 1000)
+        .filter((instant, i, instants) => i == 0 || instant != instants[0])
+        .filter(instant => +toWallTime(config, new Date(instant)) == wallTime)
+        .sort((a, b) => a - b);
+    if (candidates.length) return candidates.map(instant => new Date(instant));
+    return [new Date(wallTime + offsetBefore * 60 * 1000)];
+};
+
+/**
+ * Converts a wall-clock time of the calendar back into an instant.
+ * Wall-clock times repeated by a DST switch resolve to the earlier
+ * instant and those skipped by it are moved forward by the gap.
+ * @param {object} config - Calendar configuration
+ * @param {Date} date
+ * @returns {Date}
+ */
+let toInstant = function (config, date) {
+    return getInstants(config, date)[0];
+};
+
+/**
+ * Start of the wall-clock day of `date`.
+ * @param {Date} date
+ * @returns {number}
+ */
+let getDayStart = function (date) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+/**
+ * The day, ISO week (from Monday), month or quarter that a
+ * wall-clock time falls in, labelled like "2019-07-01",
+ * "2019-W27", "2019-07" and "2019-Q3".
+ * @param {number} wallTime
+ * @param {String} granularity - day, week, month or quarter
+ * @returns {object} `{ start, end, label }` wall-clock times, end excluded
+ */
+let getPeriod = function (wallTime, granularity) {
+    let oneDay = 24 * 60 * 60 * 1000;
+    let date = new Date(wallTime);
+    let year = date.getUTCFullYear();
+    let month = date.getUTCMonth();
+    let pad = number => ("0" + number).slice(-2);
+    let dayStart = getDayStart(date);
+    switch (granularity) {
+        case "day":
+            return { start: dayStart, end: dayStart + oneDay, label: new Date(dayStart).toISOString().slice(0, 10) };
+        case "week": {
+            let start = dayStart - (date.getUTCDay() + 6) % 7 * oneDay;
+            // The ISO year and week are those of the week's Thursday
+            let thursday = new Date(start + 3 * oneDay);
+            let week = Math.floor((+thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * oneDay)) + 1;
+            return { start: start, end: start + 7 * oneDay, label: thursday.getUTCFullYear() + "-W" + pad(week) };
+        }
+        case "month":
+            return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1), label: year + "-" + pad(month + 1) };
+        default: {
+            let quarter = Math.floor(month / 3);
+            return { start: Date.UTC(year, quarter * 3, 1), end: Date.UTC(year, quarter * 3 + 3, 1), label: year + "-Q" + (quarter + 1) };
+        }
+    }
+};
+
+/**
+ * Easter Sunday of the Gregorian calendar as a wall-clock day,
+ * by the anonymous Gregorian algorithm.
+ * @param {number} year
+ * @returns {number}
+ */
+let getEasterSunday = function (year) {
+    let a = year % 19;
+    let b = Math.floor(year / 100);
+    let c = year % 100;
+    let d = Math.floor(b / 4);
+    let e = b % 4;
+    let f = Math.floor((b + 8) / 25);
+    let g = Math.floor((b - f + 1) / 3);
+    let h = (19 * a + b - d - g + 15) % 30;
+    let i = Math.floor(c / 4);
+    let k = c % 4;
+    let l = (32 + 2 * e + 2 * i - h - k) % 7;
+    let m = Math.floor((a + 11 * h + 22 * l) / 451);
+    let month = Math.floor((h + l - 7 * m + 114) / 31);
+    let day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * Number of days searched for working time before giving up,
+ * e.g. for a calendar without any working day or an empty
+ * intersection of calendars.
+ */
+let SEARCH_LIMIT_DAYS = 5 * 366;
+
+/**
+ * Years after their start that open-ended recurring events
+ * of imported iCalendar text are expanded for.
+ */
+let ICS_EXPANSION_YEARS = 10;
+
+/**
+ * Where dates on a break between working periods are reported:
+ * at the start of the next period, at the end of the previous
+ * one, or where they are.
+ */
+let SNAP_POLICIES = ["start-of-next", "end-of-previous", "exact"];
+
+/**
+ * Abbreviations of duration strings such as "2w 3d 4.5h"
+ * and the duration units they stand for.
+ */
+let DURATION_ABBREVIATIONS = {
+    y: "year",
+    mo: "month",
+    w: "week",
+    d: "day",
+    h: "hour",
+    m: "minute",
+    s: "second",
+    ms: "millisecond",
+    ey: "eyear",
+    emo: "emonth",
+    ew: "eweek",
+    ed: "eday",
+    eh: "ehour",
+    em: "eminute",
+    es: "esecond",
+    ems: "emillisecond"
+};
+
+/**
+ * Elapsed duration units in milliseconds. Elapsed time runs
+ * around the clock, regardless of shifts and exceptions; as
+ * in scheduling tools, an elapsed month is 30 days.
+ */
+let ELAPSED_UNITS = {
+    eyear: 365 * 24 * 60 * 60 * 1000,
+    emonth: 30 * 24 * 60 * 60 * 1000,
+    eweek: 7 * 24 * 60 * 60 * 1000,
+    eday: 24 * 60 * 60 * 1000,
+    ehour: 60 * 60 * 1000,
+    eminute: 60 * 1000,
+    esecond: 1000,
+    emillisecond: 1
+};
+
+/**
+ * Sorts intervals and merges those overlapping or touching.
+ * @param {number[][]} intervals - `[start, end]` pairs
+ * @returns {number[][]}
+ */
+let mergeIntervals = function (intervals) {
+    let merged = [];
+    intervals.slice().sort((a, b) => a[0] - b[0]).forEach(interval => {
+        let last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) last[1] = Math.max(last[1], interval[1]);
+        else merged.push([interval[0], interval[1]]);
+    });
+    return merged;
+};
+
+/**
+ * Version of the documents written by `Calendar#toJSON`.
+ */
+let SCHEMA_VERSION = 1;
+
+/**
+ * Writes a wall-clock date as "2019-05-01T12:00:00.000", or
+ * only its day as "2019-05-01".
+ * @param {Date} date
+ * @param {boolean} isDay
+ * @returns {String}
+ */
+let formatWallTime = function (date, isDay) {
+    let string = date.toISOString();
+    return isDay ? string.slice(0, 10) : string.slice(0, -1);
+};
+
+/**
+ * Reads a wall-clock date written by `formatWallTime`.
+ * @param {String} string
+ * @returns {Date} `null` when the string is invalid
+ */
+let parseWallTime = function (string) {
+    if (typeof string != "string" || !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/.test(string)) return null;
+    let date = new Date(string.length == 10 ? string + "T00:00:00Z" : string + "Z");
+    return Number.isNaN(date.valueOf()) ? null : date;
+};
+
+/**
+ * Messages of validation errors by code, used where non-strict
+ * builders only log "Invalid arguments".
+ */
+let VALIDATION_MESSAGES = {
+    INVALID_ARGUMENTS: "Arguments are missing or invalid",
+    INVALID_BASE_CALENDAR: "Base calendar must be a Calendar",
+    INVALID_DATE: "Date is invalid",
+    INVALID_DATE_RANGE: "Date range is invalid or ends before it starts",
+    INVALID_DAY: "Day must be an integer from 0 (Sunday) to 6 (Saturday)",
+    INVALID_WORK_TIME: "Work time must be false or have shifts",
+    INVALID_SHIFT: "Shift timings are invalid",
+    INVALID_RULE: "Recurrence rule is invalid",
+    INVALID_TIME_PERIOD: "Time period hours must be positive numbers",
+    INVALID_UNIT: "Duration unit is invalid",
+    INVALID_TIME_ZONE: "Time-zone is invalid",
+    TIME_ZONE_LOCKED: "Time-zone can't be modified after exceptions are added",
+    INVALID_ICS: "iCalendar text is invalid"
+};
+
+/**
+ * Validates shift timings and merges shifts that end exactly
+ * when the next one starts with the same name and availability.
+ * Hours run from 0 to 24, 24 only as the end of a shift up to
+ * midnight.
+ * @param {object} workTime
+ * @param {number[]} workTime.shiftHours
+ * @param {number[]} workTime.shiftMinutes
+ * @param {number|number[]} workTime.availability - Share of the
+ * shifts that is available for work, above 0 and up to 1, for
+ * all shifts or for each one
+ * @param {String[]} workTime.shiftNames - Name of each shift, such
+ * as "Early", or null for an unnamed one
+ * @param {boolean} isDated - Shifts of a single date, whose
+ * overnight shift does not meet the same shifts the next day
+ * @param {boolean} isLenient - Converts numeric strings and
+ * fractions of hours and minutes to whole numbers, as `setHours`
+ * does, instead of rejecting them
+ * @returns {object} `{ shiftHours, shiftMinutes }` with an
+ * `availability` per shift unless all are fully available and
+ * `shiftNames` unless all are unnamed, or `{ error }` with the
+ * reason when timings are invalid
+ */
+let checkShifts = function (workTime, isDated, isLenient) {
+    if (!workTime || !Array.isArray(workTime.shiftHours) || workTime.shiftHours.length % 2) {
+        return { error: "Shift hours must be pairs of start and end hours" };
+    }
+    if (!workTime.shiftHours.length) return { error: "Work time has no shifts" };
+    let shiftHours = [];
+    let shiftMinutes = [];
+    let availability = [];
+    let minutes = Array.isArray(workTime.shiftMinutes) ? workTime.shiftMinutes : [];
+    let factors = workTime.availability;
+    if (factors === undefined || factors === null) factors = 1;
+    if (!Array.isArray(factors)) factors = new Array(workTime.shiftHours.length / 2).fill(factors);
+    let isValidFactor = factor => typeof factor == "number" && factor > 0 && factor <= 1;
+    if (factors.length != workTime.shiftHours.length / 2 || !factors.every(isValidFactor)) {
+        return { error: "Availability must be a number above 0 and up to 1, for all shifts or for each one" };
+    }
+    let names = workTime.shiftNames || new Array(workTime.shiftHours.length / 2).fill(null);
+    let isValidName = name => name === null || typeof name == "string" && name.length > 0;
+    if (!Array.isArray(names) || names.length != workTime.shiftHours.length / 2 || !names.every(isValidName)) {
+        return { error: "Shift names must be texts or null, one for each shift" };
+    }
+    let shiftNames = [];
+    let toTime = value => {
+        if (!isLenient || typeof value != "number" && (typeof value != "string" || !value.trim())) return value;
+        return Number.isFinite(Number(value)) ? Math.trunc(Number(value)) : value;
+    };
+    for (let i = 0; i < workTime.shiftHours.length / 2; i++) {
+        let hoursStart = toTime(workTime.shiftHours[2 * i]);
+        let hoursEnd = toTime(workTime.shiftHours[2 * i + 1]);
+        let minsStart = toTime(minutes[2 * i] || 0);
+        let minsEnd = toTime(minutes[2 * i + 1] || 0);
+        let isValidTime = (hours, mins) => Number.isInteger(hours) && Number.isInteger(mins)
+            && hours >= 0 && mins >= 0 && mins < 60 && (hours < 24 || hours == 24 && mins == 0);
+        if (!isValidTime(hoursStart, minsStart) || !isValidTime(hoursEnd, minsEnd)) {
+            return { error: "Shift timings must be hours from 0 to 24 and minutes from 0 to 59" };
+        }
+        let currentShiftStartTime = new Date();
+        currentShiftStartTime.setUTCHours(hoursStart, minsStart, 0, 0);
+        let currentShiftEndTime = new Date();
+        currentShiftEndTime.setUTCHours(hoursEnd, minsEnd, 0, 0);
+        // The last shift of a day may run overnight and end on the next day
+        let isOvernight = currentShiftStartTime > currentShiftEndTime;
+        if (isOvernight && 2 * i + 2 < workTime.shiftHours.length) {
+            return { error: "Shift end time is behind shift start time" };
+        }
+        if (isOvernight && !isDated) {
+            let firstShiftStartTime = new Date(currentShiftStartTime);
+            if (i > 0) firstShiftStartTime.setUTCHours(shiftHours[0], shiftMinutes[0], 0, 0);
+            if (currentShiftEndTime > firstShiftStartTime) {
+                return { error: "Overnight shift runs into the first shift of the next day" };
+            }
+        }
+        if (i > 0) {
+            let lastShiftEndTime = new Date();
+            lastShiftEndTime.setUTCHours(shiftHours[2 * (i - 1) + 1], shiftMinutes[2 * (i - 1) + 1], 0, 0);
+            if (lastShiftEndTime > currentShiftStartTime) {
+                return { error: "A later shift has timings behind the previous shift" };
+            } else if (+lastShiftEndTime == +currentShiftStartTime && !isOvernight
+                && availability[availability.length - 1] == factors[i] && shiftNames[shiftNames.length - 1] == names[i]) {
+                shiftHours.pop();
+                shiftMinutes.pop();
+                shiftHours.push(hoursEnd);
+                shiftMinutes.push(minsEnd);
+                continue;
+            }
+        }
+        shiftHours.push(hoursStart);
+        shiftHours.push(hoursEnd);
+        shiftMinutes.push(minsStart);
+        shiftMinutes.push(minsEnd);
+        availability.push(factors[i]);
+        shiftNames.push(names[i]);
+    }
+    let shifts = {
+        shiftHours: shiftHours,
+        shiftMinutes: shiftMinutes
+    };
+    if (availability.some(factor => factor != 1)) shifts.availability = availability;
+    if (shiftNames.some(name => name !== null)) shifts.shiftNames = shiftNames;
+    return shifts;
+};
+
+/**
+ * Deep copy of a configuration value. Dates are copied,
+ * calendars it refers to are kept.
+ * @param {*} value
+ * @returns {*}
+ */
+let cloneValue = function (value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (!value || typeof value != "object" || value instanceof Calendar) return value;
+    let copy = {};
+    Object.keys(value).forEach(key => copy[key] = cloneValue(value[key]));
+    return copy;
+};
+
+/**
+ * Freezes a configuration value and everything in it
+ * except dates and calendars.
+ * @param {*} value
+ * @returns {*}
+ */
+let freezeValue = function (value) {
+    if (!value || typeof value != "object" || value instanceof Date || value instanceof Calendar) return value;
+    Object.keys(value).forEach(key => freezeValue(value[key]));
+    return Object.freeze(value);
+};
+
+/**
+ * The calendar last built by the builder of `calendar`.
+ * Derived and combined calendars reach the calendars they
+ * rely on through it, so building a base calendar again
+ * shows in the calendars derived from it.
+ * @param {Calendar} calendar
+ * @returns {Calendar}
+ */
+let getLatestCalendar = function (calendar) {
+    return calendar.$CalendarBuilder.__calendar || calendar;
+};
+
 /**
  * Builder object with setter methods to build a
  * functional Calendar. Setter methods can be
  * chained. Last method in the chain should be
  * `.build()`. If setter methods aren't specified
  * then calendar is built with default values.
+ *
+ * When a base calendar is passed, the calendar built
+ * inherits its week pattern, exceptions, time period,
+ * duration unit and time-zone, and only what is set on
+ * this builder is layered on top. When the builder of the
+ * base calendar builds it again, the changes show in the
+ * derived calendar as well.
+ *
+ * Invalid input is logged and left out, unless the builder
+ * is in strict mode (`setStrictMode(true)`), where it throws
+ * a CalendarValidationError.
+ * @param {Calendar} baseCalendar
  */
-let CalendarBuilder = function () {
+let CalendarBuilder = function (baseCalendar) {
+    if (baseCalendar !== undefined && baseCalendar !== null && !(baseCalendar instanceof Calendar)) {
+        throw createValidationError("INVALID_BASE_CALENDAR", VALIDATION_MESSAGES.INVALID_BASE_CALENDAR, baseCalendar);
+    }
 
     this.config = {
         timeZoneOffset: -330,
         isTimeZoneOffsetSet: false,
+        timeZone: null,
+        isTimeZoneSet: false,
         activeDays: {
             0: {
                 active: false,
@@ -57,6 +536,9 @@ let CalendarBuilder = function () {
             }
         },
         exceptions: [],
+        exceptionRanges: [],
+        recurringExceptions: [],
+        workWeeks: [],
         areDaysSet: false,
         areExceptionsSet: false,
         timePeriod: {
@@ -68,6 +550,91 @@ let CalendarBuilder = function () {
         isTimePeriodSet: false,
         durationUnit: "minute",
         isDurationUnitSet: false,
+        baseCalendar: baseCalendar || null,
+        revision: 0
+    };
+    this.__isStrict = false;
+    this.__problems = [];
+    this.__calendar = null;
+
+    /**
+     * Makes setters throw a CalendarValidationError for invalid
+     * input instead of logging it and carrying on.
+     * @param {boolean} isStrict
+     * @returns {CalendarBuilder}
+     */
+    this.setStrictMode = function (isStrict) {
+        this.__isStrict = isStrict !== false;
+        return this;
+    };
+
+    /**
+     * Internal method.
+     * Reports rejected input. Strict builders throw it, others
+     * log it and keep it for `validate`.
+     * @param {String} code
+     * @param {*} value
+     * @param {String} message - Logged instead of "Invalid arguments"
+     * @param {String} fallbackMessage - What is done instead, makes
+     * the report a warning
+     */
+    this.__reportError = function (code, value, message, fallbackMessage) {
+        let validationError = createValidationError(code, message || VALIDATION_MESSAGES[code], value);
+        if (this.__isStrict) throw validationError;
+        this.__problems.push(validationError);
+        if (fallbackMessage !== undefined) console.warn(validationError.message + ". " + fallbackMessage);
+        else console.error(message || "Invalid arguments");
+    };
+
+    /**
+     * Checks the whole configuration at once instead of stopping
+     * at the first problem, together with the input setters have
+     * rejected so far. Returns one CalendarValidationError per
+     * problem, none when the configuration is valid.
+     * @returns {Error[]}
+     */
+    this.validate = function () {
+        let config = this.config;
+        let problems = this.__problems.slice();
+        let report = (code, value, message) => {
+            problems.push(createValidationError(code, message || VALIDATION_MESSAGES[code], value));
+        };
+        let isDate = date => date instanceof Date && !Number.isNaN(date.valueOf());
+        let checkWorkTime = (workTime, isDated) => {
+            if (workTime.active === false || workTime.active === undefined && !workTime.shiftHours) return;
+            let shifts = checkShifts(workTime, isDated);
+            if (shifts.error) report("INVALID_SHIFT", workTime, shifts.error);
+        };
+        for (let day = 0; day < 7; day++) {
+            if (config.activeDays[day]) checkWorkTime(config.activeDays[day]);
+            else report("INVALID_DAY", day, "Pattern of day " + day + " is missing");
+        }
+        config.exceptions.forEach(exception => {
+            if (!isDate(exception.date)) report("INVALID_DATE", exception.date);
+            checkWorkTime(exception, true);
+        });
+        config.exceptionRanges.forEach(exceptionRange => {
+            if (!isDate(exceptionRange.start) || !isDate(exceptionRange.end) || exceptionRange.start > exceptionRange.end) {
+                report("INVALID_DATE_RANGE", exceptionRange);
+            }
+            checkWorkTime(exceptionRange);
+        });
+        config.recurringExceptions.forEach(recurringException => checkWorkTime(recurringException));
+        config.workWeeks.forEach(workWeek => {
+            if (!isDate(workWeek.start) || workWeek.end !== null && (!isDate(workWeek.end) || workWeek.start > workWeek.end)) {
+                report("INVALID_DATE_RANGE", workWeek);
+            }
+            Object.keys(workWeek.days).forEach(day => {
+                if (!/^[0-6]$/.test(day)) report("INVALID_DAY", day);
+                else checkWorkTime(workWeek.days[day]);
+            });
+        });
+        Object.keys(config.timePeriod).forEach(key => {
+            if (!(config.timePeriod[key] > 0)) report("INVALID_TIME_PERIOD", config.timePeriod[key], "Time period " + key + " must be a positive number");
+        });
+        if (Calendar.prototype.units.indexOf(config.durationUnit) == -1) report("INVALID_UNIT", config.durationUnit);
+        if (config.isTimeZoneSet && !isValidTimeZone(config.timeZone)) report("INVALID_TIME_ZONE", config.timeZone);
+        return problems;
     };
 
     /**
@@ -80,18 +647,80 @@ let CalendarBuilder = function () {
      * @returns {CalendarBuilder}
      */
     this.setTimeZoneOffset = function (minutes) {
-        if (this.config.areExceptionsSet) throw new Error("Time-zone can't be modified after exceptions are added");
+        this.config.revision++;
+        if (this.config.areExceptionsSet) {
+            this.__reportError("TIME_ZONE_LOCKED", minutes, undefined, "Keeping the previous time-zone");
+            return this;
+        }
         if (minutes === undefined || minutes === null) {
             this.config.timeZoneOffset = 0;
             this.config.isTimeZoneOffsetSet = false;
             return this;
         }
+        if (typeof minutes != "number" || !Number.isFinite(minutes)) {
+            this.__reportError("INVALID_TIME_ZONE", minutes, "Time-zone offset must be a number of minutes");
+            return this;
+        }
         let date = new Date();
         this.config.timeZoneOffset = minutes - date.getTimezoneOffset();
         this.config.isTimeZoneOffsetSet = true;
+        this.config.timeZone = null;
+        this.config.isTimeZoneSet = false;
+        return this;
+    };
+
+    /**
+     * Sets an IANA time-zone (e.g. "Europe/Berlin") for the
+     * calendar. Shifts are then read as wall-clock time of that
+     * zone on every date, daylight saving time included, whatever
+     * the time-zone of the machine running this module. Overrides
+     * `setTimeZoneOffset`.
+     * Time-zone can't be set after exceptions are set
+     * @param {String} timeZone - IANA time-zone name
+     * @returns {CalendarBuilder}
+     */
+    this.setTimeZone = function (timeZone) {
+        this.config.revision++;
+        if (this.config.areExceptionsSet) {
+            this.__reportError("TIME_ZONE_LOCKED", timeZone, undefined, "Keeping the previous time-zone");
+            return this;
+        }
+        if (timeZone === undefined || timeZone === null) {
+            this.config.timeZone = null;
+            this.config.isTimeZoneSet = false;
+            return this;
+        }
+        if (!isValidTimeZone(timeZone)) {
+            this.__reportError("INVALID_TIME_ZONE", timeZone, "Time-zone " + timeZone + " is invalid", "Keeping the previous time-zone");
+            return this;
+        }
+        this.config.timeZone = timeZone;
+        this.config.isTimeZoneSet = true;
         return this;
     };
 
+    /**
+     * Internal method.
+     * Validates shift timings through `checkShifts` and
+     * reports invalid ones. Unless the builder is strict, numeric
+     * strings and fractions are converted to whole numbers.
+     * @param {object} workTime
+     * @param {number[]} workTime.shiftHours
+     * @param {number[]} workTime.shiftMinutes
+     * @param {String} fallbackMessage - Appended to warnings
+     * @param {boolean} isDated - Shifts of a single date, whose
+     * overnight shift does not meet the same shifts the next day
+     * @returns {object} `null` when timings are invalid
+     */
+    this.__parseShifts = function (workTime, fallbackMessage, isDated) {
+        let shifts = checkShifts(workTime, isDated, !this.__isStrict);
+        if (shifts.error) {
+            this.__reportError("INVALID_SHIFT", workTime, shifts.error, fallbackMessage);
+            return null;
+        }
+        return shifts;
+    };
+
     /**
      * Internal method.
      * Sets working hours in a day. If not
@@ -104,6 +733,7 @@ let CalendarBuilder = function () {
      * @returns {boolean}
      */
     this.__setIndividualWorkTime = function (day, workTime, isIndividuallySet) {
+        this.config.revision++;
         isIndividuallySet = !!isIndividuallySet;
         if (!isIndividuallySet && this.config.activeDays[day].isIndividuallySet) return true;
 
@@ -116,59 +746,22 @@ let CalendarBuilder = function () {
             this.config.activeDays[day].isIndividuallySet = isIndividuallySet;
             delete this.config.activeDays[day].shiftHours;
             delete this.config.activeDays[day].shiftMinutes;
+            delete this.config.activeDays[day].availability;
+            delete this.config.activeDays[day].shiftNames;
             return true;
         }
 
-        let shiftHours = [];
-        let shiftMinutes = [];
-        for (let i = 0; i < workTime.shiftHours.length / 2; i++) {
-            let hoursStart = workTime.shiftHours[2 * i];
-            let hoursEnd = workTime.shiftHours[2 * i + 1];
-            let minsStart, minsEnd;
-            try {
-                minsStart = workTime.shiftMinutes[2 * i];
-            } catch (err) {
-                minsStart = 0;
-            } finally {
-                minsStart = minsStart || 0;
-            }
-            try {
-                minsEnd = workTime.shiftMinutes[2 * i + 1];
-            } catch (err) {
-                minsEnd = 0;
-            } finally {
-                minsEnd = minsEnd || 0;
-            }
-            let currentShiftStartTime = new Date();
-            currentShiftStartTime.setHours(hoursStart, minsStart, 0, 0);
-            let currentShiftEndTime = new Date();
-            currentShiftEndTime.setHours(hoursEnd, minsEnd, 0, 0);
-            if (currentShiftStartTime > currentShiftEndTime) {
-                console.warn("Shift end time is behind shift start time. Rolling back to previous values");
-                return false;
-            }
-            if (i > 0) {
-                let lastShiftEndTime = new Date();
-                lastShiftEndTime.setHours(shiftHours[2 * (i - 1) + 1], shiftMinutes[2 * (i - 1) + 1], 0, 0);
-                if (lastShiftEndTime > currentShiftStartTime) {
-                    console.warn("A later shift has timings behind the previous shift. Rolling back to previous values");
-                    return false;
-                } else if (+lastShiftEndTime == +currentShiftStartTime) {
-                    shiftHours.pop();
-                    shiftMinutes.pop();
-                    shiftHours.push(hoursEnd);
-                    shiftMinutes.push(minsEnd);
-                    continue;
-                }
-            }
-            shiftHours.push(hoursStart);
-            shiftHours.push(hoursEnd);
-            shiftMinutes.push(minsStart);
-            shiftMinutes.push(minsEnd);
-        }
+        let shifts = this.__parseShifts(workTime, "Rolling back to previous values");
+        if (!shifts) return false;
+        let shiftHours = shifts.shiftHours;
+        let shiftMinutes = shifts.shiftMinutes;
         if (shiftHours.length && shiftMinutes.length) {
             this.config.activeDays[day].shiftHours = shiftHours;
             this.config.activeDays[day].shiftMinutes = shiftMinutes;
+            if (shifts.availability) this.config.activeDays[day].availability = shifts.availability;
+            else delete this.config.activeDays[day].availability;
+            if (shifts.shiftNames) this.config.activeDays[day].shiftNames = shifts.shiftNames;
+            else delete this.config.activeDays[day].shiftNames;
             this.config.activeDays[day].active = true;
             this.config.activeDays[day].isIndividuallySet = isIndividuallySet;
             return true;
@@ -182,9 +775,16 @@ let CalendarBuilder = function () {
      * @param {object} workTime
      * @param {number[]} workTime.shiftHours
      * @param {number[]} workTime.shiftMinutes
+     * @param {number|number[]} workTime.availability
+     * @param {String[]} workTime.shiftNames
      * @returns {CalendarBuilder}
      */
     this.setDefaultWorkTime = function (workTime) {
+        if (workTime === undefined || workTime === null) {
+            this.__reportError("INVALID_WORK_TIME", workTime);
+            return this;
+        }
+        if (workTime !== false && !this.__parseShifts(workTime, "Rolling back to previous values")) return this;
         for (let i = 0; i < 7; i++) {
             let oldValue = Object.assign({}, this.config.activeDays[i]);
             if (!this.__setIndividualWorkTime(i, workTime, false)) this.config.activeDays[i] = oldValue;
@@ -202,9 +802,19 @@ let CalendarBuilder = function () {
      * @param {object} workTime
      * @param {number[]} workTime.shiftHours
      * @param {number[]} workTime.shiftMinutes
+     * @param {number|number[]} workTime.availability
+     * @param {String[]} workTime.shiftNames
      * @returns {CalendarBuilder}
      */
     this.setIndividualWorkTime = function (day, workTime) {
+        if (!/^[0-6]$/.test(String(day))) {
+            this.__reportError("INVALID_DAY", day);
+            return this;
+        }
+        if (workTime === undefined || workTime === null) {
+            this.__reportError("INVALID_WORK_TIME", workTime);
+            return this;
+        }
         let oldValue = Object.assign({}, this.config.activeDays[day]);
         if (!this.__setIndividualWorkTime(day, workTime, true)) this.config.activeDays[day] = oldValue;
 
@@ -216,124 +826,635 @@ let CalendarBuilder = function () {
         return this;
     };
 
-    this.setException = function (dateString, workTime) {
-        if (arguments.length != 2) {
-            console.error("Both arguments are required");
+    /**
+     * Sets a named work week that replaces the weekly pattern
+     * from `startDateString` to `endDateString`, both included,
+     * e.g. summer hours. `days` maps days (Sunday as 0 and
+     * Saturday as 6) to their work time like `setIndividualWorkTime`.
+     * Leaving out the end date keeps the work week in effect from
+     * then on. Where work weeks overlap, the one set last applies
+     * to the days it lists; days no work week lists keep the default
+     * pattern. Setting a work week with an existing name replaces it.
+     * @param {String} name
+     * @param {String} startDateString
+     * @param {String} endDateString
+     * @param {object} days
+     * @returns {CalendarBuilder}
+     */
+    this.setWorkWeek = function (name, startDateString, endDateString, days) {
+        this.config.revision++;
+        let isOpenEnded = endDateString === undefined || endDateString === null;
+        let dayRange = this.__parseDayRange(startDateString, isOpenEnded ? startDateString : endDateString);
+        if (!name || !days || typeof days != "object") {
+            this.__reportError("INVALID_ARGUMENTS", name ? days : name);
             return this;
         }
-        if (workTime === undefined || workTime === null
-            || Number.isNaN((new Date(dateString)).valueOf())) {
-            console.error("Invalid arguments");
+        if (!dayRange) {
+            this.__reportError("INVALID_DATE_RANGE", [startDateString, endDateString]);
+            return this;
+        }
+        let workWeek = { name: name, start: dayRange.start, end: isOpenEnded ? null : dayRange.end, days: {} };
+        let keys = Object.keys(days);
+        for (let i = 0; i < keys.length; i++) {
+            let day = parseInt(keys[i]);
+            let workTime = days[keys[i]];
+            if (!/^[0-6]$/.test(keys[i])) {
+                this.__reportError("INVALID_DAY", keys[i]);
+                return this;
+            }
+            if (workTime === undefined || workTime === null) {
+                this.__reportError("INVALID_WORK_TIME", workTime);
+                return this;
+            }
+            if (workTime === false) {
+                workWeek.days[day] = { active: false };
+                continue;
+            }
+            let shifts = this.__parseShifts(workTime, "Falling back to default values");
+            if (!shifts) return this;
+            workWeek.days[day] = Object.assign({ active: true }, shifts);
+        }
+        this.removeWorkWeek(name);
+        this.config.workWeeks.push(workWeek);
+        return this;
+    };
+
+    /**
+     * Removes the named work week.
+     * @param {String} name
+     * @returns {CalendarBuilder}
+     */
+    this.removeWorkWeek = function (name) {
+        this.config.revision++;
+        this.config.workWeeks = this.config.workWeeks.filter(workWeek => workWeek.name != name);
+        return this;
+    };
+
+    /**
+     * Internal method.
+     * Validates the name, category and metadata of an exception.
+     * @param {object} details
+     * @returns {object} `null` when they are invalid
+     */
+    this.__parseDetails = function (details) {
+        if (details === undefined || details === null) return {};
+        if (typeof details != "object") return null;
+        let isText = value => value === undefined || value === null || typeof value == "string";
+        if (!isText(details.name) || !isText(details.category)) return null;
+        let metadata = details.metadata;
+        if (metadata !== undefined && metadata !== null && typeof metadata != "object") return null;
+        let parsed = {};
+        if (details.name) parsed.name = details.name;
+        if (details.category) parsed.category = details.category;
+        if (metadata) parsed.metadata = cloneValue(metadata);
+        return parsed;
+    };
+
+    /**
+     * Sets the work time of a single date, `false` making it a
+     * non-working day. Setting a date again replaces its exception.
+     * `details` tell why the day is an exception, e.g.
+     * `{ name: "Christmas", category: "public holiday" }`, and are
+     * reported by `getExceptionFor` and `getExceptionsBetween`.
+     * Time-zone can't be set after exceptions are set
+     * @param {String} dateString
+     * @param {object|boolean} workTime - `false` for a non-working day
+     * @param {number[]} workTime.shiftHours
+     * @param {number[]} workTime.shiftMinutes
+     * @param {number|number[]} workTime.availability
+     * @param {String[]} workTime.shiftNames
+     * @param {object} details
+     * @param {String} details.name
+     * @param {String} details.category
+     * @param {object} details.metadata - Anything else to keep with it
+     * @returns {CalendarBuilder}
+     */
+    this.setException = function (dateString, workTime, details) {
+        this.config.revision++;
+        if (arguments.length < 2) {
+            this.__reportError("INVALID_ARGUMENTS", arguments.length, "Both arguments are required");
             return this;
         }
-        let date = new Date(dateString);
-        date.setMinutes(date.getMinutes() - this.config.timeZoneOffset);  // To counter the time-zone problem
+        if (workTime === undefined || workTime === null) {
+            this.__reportError("INVALID_WORK_TIME", workTime);
+            return this;
+        }
+        if (Number.isNaN((new Date(dateString)).valueOf())) {
+            this.__reportError("INVALID_DATE", dateString);
+            return this;
+        }
+        let parsedDetails = this.__parseDetails(details);
+        if (!parsedDetails) {
+            this.__reportError("INVALID_ARGUMENTS", details, "Exception details must have a text name and category");
+            return this;
+        }
+        let date = toWallTime(this.config, new Date(dateString));  // To counter the time-zone problem
 
         let exception = this.config.exceptions.find(element => {
             return element.date.valueOf() == date.valueOf();
-            if (element.date.getFullYear() == date.getFullYear() && element.date.getMonth() == date.getMonth() && element.date.getDate() == date.getDate()) {
+            if (element.date.getUTCFullYear() == date.getUTCFullYear() && element.date.getUTCMonth() == date.getUTCMonth() && element.date.getUTCDate() == date.getUTCDate()) {
                 return true;
             } else return false;
         });
+        let replaceDetails = target => {
+            ["name", "category", "metadata"].forEach(key => delete target[key]);
+            return Object.assign(target, parsedDetails);
+        };
         if (workTime === false) {
             if (exception) {
                 delete exception.shiftHours;
                 delete exception.shiftMinutes;
+                delete exception.availability;
+                delete exception.shiftNames;
+                replaceDetails(exception);
             } else {
-                this.config.exceptions.push({ date: date });
+                this.config.exceptions.push(replaceDetails({ date: date }));
             }
             this.config.areExceptionsSet = true;
             return this;
         }
-        let shiftHours = [];
-        let shiftMinutes = [];
-        for (let i = 0; i < workTime.shiftHours.length / 2; i++) {
-            let hoursStart = workTime.shiftHours[2 * i];
-            let hoursEnd = workTime.shiftHours[2 * i + 1];
-            let minsStart, minsEnd;
-            try {
-                minsStart = workTime.shiftMinutes[2 * i];
-            } catch (err) {
-                minsStart = 0;
-            } finally {
-                minsStart = minsStart || 0;
-            }
-            try {
-                minsEnd = workTime.shiftMinutes[2 * i + 1];
-            } catch (err) {
-                minsEnd = 0;
-            } finally {
-                minsEnd = minsEnd || 0;
-            }
-            let currentShiftStartTime = new Date();
-            currentShiftStartTime.setHours(hoursStart, minsStart, 0, 0);
-            let currentShiftEndTime = new Date();
-            currentShiftEndTime.setHours(hoursEnd, minsEnd, 0, 0);
-            if (currentShiftStartTime > currentShiftEndTime) {
-                console.warn("Shift end time is behind shift start time. Falling back to default values");
-                return this;
-            }
-            if (i > 0) {
-                let lastShiftEndTime = new Date();
-                lastShiftEndTime.setHours(shiftHours[2 * (i - 1) + 1], shiftMinutes[2 * (i - 1) + 1], 0, 0);
-                if (lastShiftEndTime > currentShiftStartTime) {
-                    console.warn("A later shift has timings behind the previous shift. Falling back to default values");
-                    return this;
-                } else if (+lastShiftEndTime == +currentShiftStartTime) {
-                    shiftHours.pop();
-                    shiftMinutes.pop();
-                    shiftHours.push(hoursEnd);
-                    shiftMinutes.push(minsEnd);
-                    continue;
-                }
-            }
-            shiftHours.push(hoursStart);
-            shiftHours.push(hoursEnd);
-            shiftMinutes.push(minsStart);
-            shiftMinutes.push(minsEnd);
-        }
+        let shifts = this.__parseShifts(workTime, "Falling back to default values", true);
+        if (!shifts) return this;
+        let shiftHours = shifts.shiftHours;
+        let shiftMinutes = shifts.shiftMinutes;
         if (exception && shiftHours.length && shiftMinutes.length) {
             exception.shiftHours = shiftHours;
             exception.shiftMinutes = shiftMinutes;
+            if (shifts.availability) exception.availability = shifts.availability;
+            else delete exception.availability;
+            if (shifts.shiftNames) exception.shiftNames = shifts.shiftNames;
+            else delete exception.shiftNames;
+            replaceDetails(exception);
             this.config.areExceptionsSet = true;
         } else if (shiftHours.length && shiftMinutes.length) {
-            this.config.exceptions.push({
-                date: date,
-                shiftHours: shiftHours,
-                shiftMinutes: shiftMinutes
-            })
+            this.config.exceptions.push(replaceDetails(Object.assign({ date: date }, shifts)))
         }
         return this;
     };
 
     /**
-     * Sets the time period of the Calendar
-     * @param {object} settings
-     * @param {number} settings.hoursPerDay
-     * @param {number} settings.hoursPerWeek
-     * @param {number} settings.hoursPerMonth
-     * @param {number} settings.hoursPerYear
+     * Sets an exception on every day from `startDateString` to
+     * `endDateString`, both included. Where ranges overlap, the one
+     * added last applies. Dates set through `setException` take
+     * precedence over ranges, and ranges over recurring exceptions.
+     * Time-zone can't be set after exceptions are set
+     * @param {String} startDateString
+     * @param {String} endDateString
+     * @param {object|boolean} workTime - `false` for non-working days
+     * @param {number[]} workTime.shiftHours
+     * @param {number[]} workTime.shiftMinutes
+     * @param {number|number[]} workTime.availability
+     * @param {String[]} workTime.shiftNames
+     * @param {object} details - Name, category and metadata as for `setException`
      * @returns {CalendarBuilder}
      */
-    this.setTimePeriod = function (settings) {
-        if (settings.hasOwnProperty("hoursPerDay")) this.config.timePeriod.hoursPerDay = parseInt(settings.hoursPerDay);
-        if (settings.hasOwnProperty("hoursPerWeek")) this.config.timePeriod.hoursPerWeek = parseInt(settings.hoursPerWeek);
-        if (settings.hasOwnProperty("hoursPerMonth")) this.config.timePeriod.hoursPerMonth = parseInt(settings.hoursPerMonth);
-        if (settings.hasOwnProperty("hoursPerYear")) this.config.timePeriod.hoursPerYear = parseInt(settings.hoursPerYear);
-        this.config.isTimePeriodSet = true;
+    this.setExceptionRange = function (startDateString, endDateString, workTime, details) {
+        this.config.revision++;
+        if (arguments.length < 3) {
+            this.__reportError("INVALID_ARGUMENTS", arguments.length, "All arguments are required");
+            return this;
+        }
+        let days = this.__parseDayRange(startDateString, endDateString);
+        if (workTime === undefined || workTime === null) {
+            this.__reportError("INVALID_WORK_TIME", workTime);
+            return this;
+        }
+        if (!days) {
+            this.__reportError("INVALID_DATE_RANGE", [startDateString, endDateString]);
+            return this;
+        }
+        let parsedDetails = this.__parseDetails(details);
+        if (!parsedDetails) {
+            this.__reportError("INVALID_ARGUMENTS", details, "Exception details must have a text name and category");
+            return this;
+        }
+        let exceptionRange = Object.assign({ start: days.start, end: days.end }, parsedDetails);
+        if (workTime !== false) {
+            let shifts = this.__parseShifts(workTime, "Falling back to default values");
+            if (!shifts) return this;
+            Object.assign(exceptionRange, shifts);
+        }
+        this.config.exceptionRanges.push(exceptionRange);
+        this.config.areExceptionsSet = true;
         return this;
     };
 
     /**
-     * Sets the duration unit of the Calendar
-     * Valid units are: day, hour, minute
-     * Defaults to minute.
-     * @param {String} unit
+     * Removes exceptions set through `setException` and
+     * `setExceptionRange` from `startDateString` to `endDateString`,
+     * both included. Ranges reaching beyond are cut down to the
+     * remaining days. Recurring exceptions are not affected.
+     * @param {String} startDateString
+     * @param {String} endDateString - Defaults to `startDateString`
+     * @returns {CalendarBuilder}
+     */
+    this.removeException = function (startDateString, endDateString) {
+        this.config.revision++;
+        if (endDateString === undefined || endDateString === null) endDateString = startDateString;
+        let days = this.__parseDayRange(startDateString, endDateString);
+        if (!days) {
+            this.__reportError("INVALID_DATE_RANGE", [startDateString, endDateString]);
+            return this;
+        }
+        let oneDay = 24 * 60 * 60 * 1000;
+        this.config.exceptions = this.config.exceptions.filter(exception => {
+            let day = getDayStart(exception.date);
+            return day < +days.start || day > +days.end;
+        });
+        let exceptionRanges = [];
+        this.config.exceptionRanges.forEach(exceptionRange => {
+            if (+exceptionRange.end < +days.start || +exceptionRange.start > +days.end) {
+                exceptionRanges.push(exceptionRange);
+                return;
+            }
+            if (+exceptionRange.start < +days.start) {
+                exceptionRanges.push(Object.assign({}, exceptionRange, { end: new Date(+days.start - oneDay) }));
+            }
+            if (+exceptionRange.end > +days.end) {
+                exceptionRanges.push(Object.assign({}, exceptionRange, { start: new Date(+days.end + oneDay) }));
+            }
+        });
+        this.config.exceptionRanges = exceptionRanges;
+        return this;
+    };
+
+    /**
+     * Imports the VEVENTs of iCalendar (.ics) text as exceptions.
+     * All-day events make their days non-working; timed events
+     * remove their time from the working time of the days they
+     * cover, leaving the rest as changed working time. Recurring
+     * events are expanded, those without an end up to `untilDateString`
+     * or else for ten years. Cancelled events and timed events shown
+     * as free time (TRANSP:TRANSPARENT) are skipped. Exceptions are
+     * named after the summary of their event.
+     * Time-zone can't be set after exceptions are set
+     * @param {String} icsString
+     * @param {String} untilDateString - Last date open-ended recurring
+     * events are expanded to
+     * @returns {CalendarBuilder}
+     */
+    this.importICS = function (icsString, untilDateString) {
+        let events;
+        try {
+            events = ics.parse(icsString);
+        } catch (err) {
+            this.__reportError("INVALID_ICS", icsString);
+            return this;
+        }
+        let until = untilDateString === undefined || untilDateString === null ? null : new Date(untilDateString);
+        if (until && Number.isNaN(until.valueOf())) {
+            this.__reportError("INVALID_DATE", untilDateString);
+            return this;
+        }
+        // Events are checked first, so that strict builders throw before importing any
+        events = events.filter(event => {
+            let description = "Skipping event " + (event.summary || event.uid || "without summary") + ".";
+            if (event.status == "CANCELLED") return false;
+            if (!event.start || event.errors.length) {
+                this.__reportError("INVALID_ICS", event, "Invalid " + (event.errors[0] || "DTSTART"), description);
+                return false;
+            }
+            if (event.rule && event.rule.unsupported.length) {
+                let message = "Unsupported recurrence rule part " + event.rule.unsupported.join(", ");
+                this.__reportError("INVALID_RULE", event, message, description);
+                return false;
+            }
+            return true;
+        });
+        // Working time is read from a snapshot of the config, taken
+        // again once earlier events have changed it
+        let snapshot = null;
+        let getSnapshot = () => {
+            if (!snapshot || snapshot.config.revision != this.config.revision) {
+                snapshot = new Calendar(this, freezeValue(cloneValue(this.config)));
+            }
+            return snapshot;
+        };
+        let oneDay = 24 * 60 * 60 * 1000;
+        events.forEach(event => {
+            if (!event.start.isDate && event.transp == "TRANSPARENT") return;
+
+            // Wall-clock times of the event's zone and of the calendar
+            let zone = event.start.timeZone && isValidTimeZone(event.start.timeZone)
+                ? { timeZone: event.start.timeZone, isTimeZoneSet: true } : null;
+            let toCalendarTime = (wallTime, value) => {
+                if (value.isDate) return wallTime;
+                if (value.isUTC) return +toWallTime(this.config, new Date(wallTime));
+                if (value.timeZone && isValidTimeZone(value.timeZone)) {
+                    return +toWallTime(this.config, toInstant({ timeZone: value.timeZone, isTimeZoneSet: true }, new Date(wallTime)));
+                }
+                return wallTime;
+            };
+            let toEventTime = date => {
+                if (event.start.isDate || !event.start.isUTC && !zone) return +toWallTime(this.config, date);
+                if (event.start.isUTC) return +date;
+                return +toWallTime(zone, date);
+            };
+
+            let duration = event.start.isDate ? oneDay : 0;
+            if (event.end) duration = event.end.wallTime - event.start.wallTime;
+            if (event.end && event.end.isUTC != event.start.isUTC) {
+                duration = toCalendarTime(event.end.wallTime, event.end) - toCalendarTime(event.start.wallTime, event.start);
+            }
+            if (event.duration !== undefined && !event.end) duration = event.duration;
+            if (duration <= 0) return;
+
+            let occurrences = [event.start.wallTime];
+            if (event.rule) {
+                let ruleUntil = event.rule.until ? event.rule.until.wallTime : null;
+                if (event.rule.until && event.rule.until.isUTC && !event.start.isUTC) {
+                    ruleUntil = toEventTime(new Date(event.rule.until.wallTime));
+                }
+                let limit = until ? toEventTime(until)
+                    : Date.UTC(new Date(event.start.wallTime).getUTCFullYear() + ICS_EXPANSION_YEARS, 11, 31);
+                occurrences = ics.expand(event.start.wallTime, event.rule, ruleUntil, limit);
+            }
+            let exceptionDates = event.exceptionDates.map(date => toCalendarTime(date.wallTime, date));
+            let details = event.summary ? { name: event.summary } : {};
+            occurrences.forEach(occurrence => {
+                let start = toCalendarTime(occurrence, event.start);
+                if (exceptionDates.some(date => event.start.isDate ? getDayStart(new Date(date)) == start : date == start)) return;
+                if (!event.start.isDate) {
+                    this.__removeWorkTime(getSnapshot(), start, toCalendarTime(occurrence + duration, event.start), details);
+                    return;
+                }
+                let firstDay = toInstant(this.config, new Date(start + oneDay / 2)).toISOString();
+                let lastDay = toInstant(this.config, new Date(getDayStart(new Date(start + duration - 1)) + oneDay / 2)).toISOString();
+                this.removeException(firstDay, lastDay);
+                if (firstDay == lastDay) this.setException(firstDay, false, details);
+                else this.setExceptionRange(firstDay, lastDay, false, details);
+            });
+        });
+        return this;
+    };
+
+    /**
+     * Internal method.
+     * Removes the wall-clock span from `start` to `end` from the
+     * working time of the days it covers, by setting exceptions
+     * with the shifts left on those days. A shift cut at midnight
+     * leaves its later part to the next day.
+     * @param {Calendar} calendar - Snapshot of this builder's config
+     * @param {number} start
+     * @param {number} end
+     * @param {object} details - Name of the exceptions set
+     */
+    this.__removeWorkTime = function (calendar, start, end, details) {
+        let oneDay = 24 * 60 * 60 * 1000;
+        let firstDay = getDayStart(new Date(start)) - oneDay;
+        let lastDay = getDayStart(new Date(end));
+        let shifts = {};
+        let changedDays = [];
+        for (let day = firstDay; day <= lastDay; day += oneDay) shifts[day] = shifts[day] || [];
+        for (let day = firstDay; day <= lastDay; day += oneDay) {
+            calendar.__getShiftIntervals(new Date(day)).forEach(interval => {
+                if (interval[1] <= start || interval[0] >= end) {
+                    shifts[day].push(interval);
+                    return;
+                }
+                changedDays.push(day);
+                // Pieces keep the availability and name of their shift
+                [[interval[0], start], [end, interval[1]]].map(piece => piece.concat(interval.slice(2))).forEach(piece => {
+                    if (piece[0] >= piece[1] || piece[0] < interval[0] || piece[1] > interval[1]) return;
+                    let pieceDay = getDayStart(new Date(piece[0]));
+                    shifts[pieceDay].push(piece);
+                    if (pieceDay != day) changedDays.push(pieceDay);
+                });
+            });
+        }
+        changedDays.filter((day, i) => changedDays.indexOf(day) == i).forEach(day => {
+            let workTime = { shiftHours: [], shiftMinutes: [], availability: [], shiftNames: [] };
+            shifts[day].sort((a, b) => a[0] - b[0]).forEach(interval => {
+                [interval[0], interval[1]].forEach(time => {
+                    let minutes = Math.round((time - day) / (60 * 1000)) % (24 * 60);
+                    workTime.shiftHours.push(Math.floor(minutes / 60));
+                    workTime.shiftMinutes.push(minutes % 60);
+                });
+                workTime.availability.push(interval[2]);
+                workTime.shiftNames.push(interval[3]);
+            });
+            if (workTime.availability.every(factor => factor == 1)) delete workTime.availability;
+            if (workTime.shiftNames.every(name => name === null)) delete workTime.shiftNames;
+            // An exception already set on the day is replaced, keeping its details
+            // that the event does not name
+            let exception = this.config.exceptions.find(element => getDayStart(element.date) == day);
+            let date = exception ? exception.date : new Date(day + oneDay / 2);
+            let exceptionDetails = details;
+            if (exception) {
+                exceptionDetails = Object.assign({ name: exception.name, category: exception.category, metadata: exception.metadata }, details);
+            }
+            let dateString = toInstant(this.config, date).toISOString();
+            this.setException(dateString, workTime.shiftHours.length ? workTime : false, exceptionDetails);
+        });
+    };
+
+    /**
+     * Removes all exceptions, recurring ones included.
+     * The time-zone can be modified again afterwards.
+     * @returns {CalendarBuilder}
+     */
+    this.clearExceptions = function () {
+        this.config.revision++;
+        this.config.exceptions = [];
+        this.config.exceptionRanges = [];
+        this.config.recurringExceptions = [];
+        this.config.areExceptionsSet = false;
+        return this;
+    };
+
+    /**
+     * Internal method.
+     * Converts two date strings to the wall-clock days
+     * they fall on.
+     * @param {String} startDateString
+     * @param {String} endDateString
+     * @returns {object} `null` when dates are invalid or reversed
+     */
+    this.__parseDayRange = function (startDateString, endDateString) {
+        let startDate = new Date(startDateString);
+        let endDate = new Date(endDateString);
+        if (Number.isNaN(startDate.valueOf()) || Number.isNaN(endDate.valueOf())) return null;
+        let start = getDayStart(toWallTime(this.config, startDate));
+        let end = getDayStart(toWallTime(this.config, endDate));
+        if (start > end) return null;
+        return { start: new Date(start), end: new Date(end) };
+    };
+
+    /**
+     * Sets an exception that recurs by a rule instead of on
+     * one date. Rules are resolved lazily for any date, so
+     * nothing has to be generated per year. When several rules
+     * fall on the same date, the one added last applies. Dates
+     * set through `setException` take precedence over rules.
+     *
+     * - weekly: `{ frequency: "weekly", day: 5 }`, `day` may
+     *   be an array of days
+     * - monthly: `{ frequency: "monthly", date: 1 }`, a negative
+     *   `date` counts from the end of the month
+     * - nth weekday: `{ frequency: "yearly", month: 4, day: 1, nth: -1 }`
+     *   is the last Monday of May
+     * - business day: `{ frequency: "monthly", businessDay: 1 }` is
+     *   the first working day of every month
+     * - Easter: `{ frequency: "yearly", easterOffset: -2 }` is Good Friday
+     *
+     * Every rule takes an optional `interval` (every n weeks, months
+     * or years, counted from `start`), `start` and `end` date bounds
+     * and `observed`, which moves an occurrence landing on a week-off
+     * to the next working day of the week.
+     * Time-zone can't be set after exceptions are set
+     * @param {object} rule
+     * @param {String} rule.frequency - weekly, monthly or yearly
+     * @param {number|number[]} rule.day - Sunday as 0 and Saturday as 6
+     * @param {number} rule.nth - 1 to 5, or -1 to -5 from the end
+     * @param {number} rule.date - Day of the month
+     * @param {number} rule.month - January as 0 and December as 11
+     * @param {number} rule.businessDay - 1 for the first, -1 for the last
+     * @param {number} rule.easterOffset - Days from Easter Sunday
+     * @param {number} rule.interval
+     * @param {String} rule.start
+     * @param {String} rule.end
+     * @param {boolean} rule.observed
+     * @param {object|boolean} workTime - `false` for a non-working day
+     * @param {number[]} workTime.shiftHours
+     * @param {number[]} workTime.shiftMinutes
+     * @param {number|number[]} workTime.availability
+     * @param {String[]} workTime.shiftNames
+     * @param {object} details - Name, category and metadata as for `setException`
+     * @returns {CalendarBuilder}
+     */
+    this.setRecurringException = function (rule, workTime, details) {
+        this.config.revision++;
+        if (arguments.length < 2) {
+            this.__reportError("INVALID_ARGUMENTS", arguments.length, "Both arguments are required");
+            return this;
+        }
+        let recurrence = this.__parseRecurrence(rule);
+        if (workTime === undefined || workTime === null) {
+            this.__reportError("INVALID_WORK_TIME", workTime);
+            return this;
+        }
+        if (!recurrence) {
+            this.__reportError("INVALID_RULE", rule);
+            return this;
+        }
+        let parsedDetails = this.__parseDetails(details);
+        if (!parsedDetails) {
+            this.__reportError("INVALID_ARGUMENTS", details, "Exception details must have a text name and category");
+            return this;
+        }
+        let recurringException = Object.assign({ recurrence: recurrence }, parsedDetails);
+        if (workTime !== false) {
+            let shifts = this.__parseShifts(workTime, "Falling back to default values");
+            if (!shifts) return this;
+            Object.assign(recurringException, shifts);
+        }
+        this.config.recurringExceptions.push(recurringException);
+        this.config.areExceptionsSet = true;
+        return this;
+    };
+
+    /**
+     * Internal method.
+     * Validates a recurrence rule and converts its
+     * bounds to wall-clock days.
+     * @param {object} rule
+     * @returns {object} `null` when the rule is invalid
+     */
+    this.__parseRecurrence = function (rule) {
+        if (!rule || ["weekly", "monthly", "yearly"].indexOf(rule.frequency) == -1) return null;
+        let isSet = value => value !== undefined && value !== null;
+        let isInteger = value => Number.isInteger(value);
+        let recurrence = {
+            frequency: rule.frequency,
+            interval: isSet(rule.interval) ? rule.interval : 1,
+            observed: !!rule.observed
+        };
+        if (!isInteger(recurrence.interval) || recurrence.interval < 1) return null;
+
+        let bounds = ["start", "end"];
+        for (let i = 0; i < bounds.length; i++) {
+            if (!isSet(rule[bounds[i]])) continue;
+            let date = new Date(rule[bounds[i]]);
+            if (Number.isNaN(date.valueOf())) return null;
+            date = toWallTime(this.config, date);
+            recurrence[bounds[i]] = new Date(getDayStart(date));
+        }
+        if (recurrence.interval > 1 && !recurrence.start) return null;
+
+        if (rule.frequency == "weekly") {
+            let days = [].concat(rule.day);
+            if (!days.length || days.some(day => !isInteger(day) || day < 0 || day > 6)) return null;
+            recurrence.day = days;
+            return recurrence;
+        }
+        if (rule.frequency == "yearly" && isSet(rule.easterOffset)) {
+            if (!isInteger(rule.easterOffset)) return null;
+            recurrence.easterOffset = rule.easterOffset;
+            return recurrence;
+        }
+        if (rule.frequency == "yearly") {
+            if (!isInteger(rule.month) || rule.month < 0 || rule.month > 11) return null;
+            recurrence.month = rule.month;
+        }
+        if (isSet(rule.date)) {
+            if (!isInteger(rule.date) || rule.date == 0 || Math.abs(rule.date) > 31) return null;
+            recurrence.date = rule.date;
+        } else if (isSet(rule.businessDay)) {
+            if (!isInteger(rule.businessDay) || rule.businessDay == 0) return null;
+            recurrence.businessDay = rule.businessDay;
+        } else {
+            if (!isInteger(rule.day) || rule.day < 0 || rule.day > 6) return null;
+            if (!isInteger(rule.nth) || rule.nth == 0 || Math.abs(rule.nth) > 5) return null;
+            recurrence.day = rule.day;
+            recurrence.nth = rule.nth;
+        }
+        return recurrence;
+    };
+
+    /**
+     * Sets the time period of the Calendar
+     * @param {object} settings
+     * @param {number} settings.hoursPerDay
+     * @param {number} settings.hoursPerWeek
+     * @param {number} settings.hoursPerMonth
+     * @param {number} settings.hoursPerYear
+     * @returns {CalendarBuilder}
+     */
+    this.setTimePeriod = function (settings) {
+        this.config.revision++;
+        if (!settings || typeof settings != "object") {
+            this.__reportError("INVALID_TIME_PERIOD", settings);
+            return this;
+        }
+        let keys = ["hoursPerDay", "hoursPerWeek", "hoursPerMonth", "hoursPerYear"];
+        for (let i = 0; i < keys.length; i++) {
+            if (settings.hasOwnProperty(keys[i]) && !(parseInt(settings[keys[i]]) > 0)) {
+                this.__reportError("INVALID_TIME_PERIOD", settings[keys[i]], "Time period " + keys[i] + " must be a positive number");
+                return this;
+            }
+        }
+        keys.forEach(key => {
+            if (settings.hasOwnProperty(key)) this.config.timePeriod[key] = parseInt(settings[key]);
+        });
+        this.config.isTimePeriodSet = true;
+        return this;
+    };
+
+    /**
+     * Sets the duration unit of the Calendar
+     * Valid units are: year, month, week, day, hour,
+     * minute, second, millisecond. Units from day up are
+     * converted through the time period.
+     * Defaults to minute.
+     * @param {String} unit
      * @returns {CalendarBuilder}
      */
     this.setDurationUnit = function (unit) {
-        if (unit != "day" && unit != "hour" && unit != "minute"
-            && unit != "second" && unit != "millisecond") throw new Error("Duration unit is invalid");
+        this.config.revision++;
+        if (Calendar.prototype.units.indexOf(unit) == -1) {
+            this.__reportError("INVALID_UNIT", unit, undefined, "Keeping the previous duration unit");
+            return this;
+        }
         this.config.durationUnit = unit;
         this.config.isDurationUnitSet = true;
         return this;
@@ -341,12 +1462,164 @@ let CalendarBuilder = function () {
 
     /**
      * Builds a calendar with the setter methods and returns
-     * a calendar object.
+     * a calendar object. The calendar owns a frozen copy of
+     * the configuration, so later setter calls only reach
+     * calendars built afterwards, and calendars derived from
+     * or combined with the ones built before.
      * @returns {Calendar}
      */
     this.build = function () {
-        return new Calendar(this, this.config);
+        this.__calendar = new Calendar(this, freezeValue(cloneValue(this.config)));
+        return this.__calendar;
+    };
+};
+
+/**
+ * Reads a calendar from Microsoft Project XML (MSPDI) into a
+ * builder. The calendar is picked by `options.calendar`, a name
+ * or UID, and defaults to the project calendar; base calendars
+ * it derives from are read and built along with it. MS Project
+ * has no time-zones, so times are read as wall-clock times of
+ * `options.timeZone` or `options.timeZoneOffset`. Whatever can't
+ * be represented is listed in `unsupported` instead.
+ * @param {String} xml
+ * @param {object} options
+ * @param {String|number} options.calendar
+ * @param {String} options.timeZone
+ * @param {number} options.timeZoneOffset
+ * @returns {object} `{ builder, unsupported }`
+ */
+CalendarBuilder.fromMSProject = function (xml, options) {
+    return mspdi.read(CalendarBuilder, xml, options);
+};
+
+/**
+ * Rebuilds a calendar from a document written by
+ * `Calendar#toJSON`, or from its JSON string. Base and
+ * combined calendars are rebuilt from the documents
+ * nested in it.
+ * @param {object|String} json
+ * @returns {Calendar}
+ */
+CalendarBuilder.fromJSON = function (json) {
+    let document = json;
+    if (typeof json == "string") {
+        try {
+            document = JSON.parse(json);
+        } catch (error) {
+            throw createSchemaError("Calendar document is not valid JSON");
+        }
+    }
+    if (!document || typeof document != "object") throw createSchemaError("Calendar document must be an object");
+    if (document.version !== SCHEMA_VERSION) {
+        throw createSchemaError("Unsupported calendar schema version " + document.version + ", expected " + SCHEMA_VERSION);
+    }
+
+    if (document.combination) {
+        let combination = document.combination;
+        if (["intersection", "union"].indexOf(combination.operator) == -1
+            || !Array.isArray(combination.calendars) || combination.calendars.length < 2) {
+            throw createSchemaError("Calendar combination is invalid");
+        }
+        let calendars = combination.calendars.map(calendar => CalendarBuilder.fromJSON(calendar));
+        return calendars[0].__combine(combination.operator, calendars.slice(1));
+    }
+
+    let baseCalendar = document.baseCalendar ? CalendarBuilder.fromJSON(document.baseCalendar) : null;
+    let builder = new CalendarBuilder(baseCalendar);
+    let config = builder.config;
+    let isSet = value => value !== undefined && value !== null;
+    let readShifts = (item, description, isDated) => {
+        let shifts = checkShifts(item, isDated);
+        if (shifts.error) throw createSchemaError(description + " has invalid shifts");
+        return shifts;
+    };
+    let readDay = (string, description) => {
+        let date = parseWallTime(string);
+        if (!date) throw createSchemaError(description + " has an invalid date");
+        return date;
     };
+    let readDetails = (item, target, description) => {
+        let details = builder.__parseDetails(item);
+        if (!details) throw createSchemaError(description + " has invalid details");
+        return Object.assign(target, details);
+    };
+    let readList = key => {
+        if (!isSet(document[key])) return [];
+        if (!Array.isArray(document[key])) throw createSchemaError(key + " must be an array");
+        return document[key];
+    };
+
+    if (isSet(document.timeZone)) {
+        if (!isValidTimeZone(document.timeZone)) throw createSchemaError("Time-zone " + document.timeZone + " is invalid");
+        builder.setTimeZone(document.timeZone);
+    } else if (isSet(document.timeZoneOffset)) {
+        if (typeof document.timeZoneOffset != "number") throw createSchemaError("Time-zone offset is invalid");
+        builder.setTimeZoneOffset(document.timeZoneOffset);
+    }
+
+    for (let day = 0; day < 7; day++) {
+        let pattern = document.activeDays && document.activeDays[day];
+        if (!pattern || typeof pattern.active != "boolean") throw createSchemaError("Pattern of day " + day + " is invalid");
+        config.activeDays[day] = { active: pattern.active, isIndividuallySet: !!pattern.isIndividuallySet };
+        if (pattern.active) {
+            let shifts = readShifts(pattern, "Pattern of day " + day);
+            Object.assign(config.activeDays[day], shifts);
+        }
+    }
+    config.areDaysSet = !!document.areDaysSet;
+
+    config.exceptions = readList("exceptions").map(item => {
+        let exception = readDetails(item, { date: readDay(item.date, "Exception") }, "Exception on " + item.date);
+        if (!item.shiftHours) return exception;
+        return Object.assign(exception, readShifts(item, "Exception on " + item.date, true));
+    });
+    config.exceptionRanges = readList("exceptionRanges").map(item => {
+        let exceptionRange = { start: readDay(item.start, "Exception range"), end: readDay(item.end, "Exception range") };
+        if (+exceptionRange.start > +exceptionRange.end) throw createSchemaError("Exception range ends before it starts");
+        readDetails(item, exceptionRange, "Exception range from " + item.start);
+        if (!item.shiftHours) return exceptionRange;
+        return Object.assign(exceptionRange, readShifts(item, "Exception range from " + item.start));
+    });
+    config.recurringExceptions = readList("recurringExceptions").map(item => {
+        let rule = Object.assign({}, item.recurrence);
+        ["start", "end"].forEach(bound => {
+            if (isSet(rule[bound])) rule[bound] = toInstant(config, readDay(rule[bound], "Recurring exception"));
+        });
+        let recurrence = builder.__parseRecurrence(rule);
+        if (!recurrence) throw createSchemaError("Recurring exception rule is invalid");
+        let recurringException = readDetails(item, { recurrence: recurrence }, "Recurring exception");
+        if (!item.shiftHours) return recurringException;
+        return Object.assign(recurringException, readShifts(item, "Recurring exception"));
+    });
+    config.areExceptionsSet = !!document.areExceptionsSet;
+
+    config.workWeeks = readList("workWeeks").map(item => {
+        if (!item.name || !item.days || typeof item.days != "object") throw createSchemaError("Work week is invalid");
+        let workWeek = {
+            name: item.name,
+            start: readDay(item.start, "Work week " + item.name),
+            end: isSet(item.end) ? readDay(item.end, "Work week " + item.name) : null,
+            days: {}
+        };
+        Object.keys(item.days).forEach(key => {
+            let day = parseInt(key);
+            let pattern = item.days[key];
+            if (Number.isNaN(day) || day < 0 || day > 6 || !pattern || typeof pattern.active != "boolean") {
+                throw createSchemaError("Work week " + item.name + " has an invalid day " + key);
+            }
+            workWeek.days[day] = { active: pattern.active };
+            if (pattern.active) Object.assign(workWeek.days[day], readShifts(pattern, "Work week " + item.name));
+        });
+        return workWeek;
+    });
+
+    if (isSet(document.timePeriod)) builder.setTimePeriod(document.timePeriod);
+    if (isSet(document.durationUnit)) {
+        if (Calendar.prototype.units.indexOf(document.durationUnit) == -1) throw createSchemaError("Duration unit is invalid");
+        builder.setDurationUnit(document.durationUnit);
+    }
+    return builder.build();
 };
 
 /**
@@ -356,11 +1629,17 @@ let CalendarBuilder = function () {
 let Calendar = function (CalendarBuilder, config) {
     this.$CalendarBuilder = CalendarBuilder;
     this.config = config;
+    this.__cache = null;
+    this.__shiftNames = null;
+    this.__shiftViews = null;
 };
 
 Calendar.prototype = {
 
     units: [
+        "year",
+        "month",
+        "week",
         "day",
         "hour",
         "minute",
@@ -376,12 +1655,60 @@ Calendar.prototype = {
         return this.config.isDurationUnitSet;
     },
 
+    /**
+     * Fetches the duration unit.
+     * @returns {String}
+     */
+    getDurationUnit: function () {
+        if (this.config.isDurationUnitSet || !this.config.baseCalendar) return this.config.durationUnit;
+        return this.getBaseCalendar().getDurationUnit();
+    },
+
+    /**
+     * Fetches the calendar this one is derived from,
+     * null when it has none.
+     * @returns {Calendar}
+     */
+    getBaseCalendar: function () {
+        return this.config.baseCalendar ? getLatestCalendar(this.config.baseCalendar) : null;
+    },
+
+    /**
+     * Internal method.
+     * Fetches the calendars a combined calendar is made of.
+     * @returns {Calendar[]}
+     */
+    __getCombinedCalendars: function () {
+        return this.config.combination.calendars.map(getLatestCalendar);
+    },
+
+    /**
+     * Returns a new builder prefilled with the configuration of
+     * this calendar, for variants that leave it untouched. The
+     * builder is a new one: what it builds doesn't reach the
+     * calendars derived from this one.
+     * @returns {CalendarBuilder}
+     */
+    toBuilder: function () {
+        if (this.config.combination) throw new Error("Combined calendars have no builder");
+        let builder = new CalendarBuilder(this.config.baseCalendar);
+        builder.config = cloneValue(this.config);
+        return builder;
+    },
+
     /**
      * @returns {number}
      */
     __getConversionFactorToMS: function (unit) {
-        if (this.__getUnitOrder(unit) == -1) unit = this.config.durationUnit;
+        if (this.__isElapsedUnit(unit)) return ELAPSED_UNITS[unit];
+        if (this.__getUnitOrder(unit) == -1) unit = this.getDurationUnit();
         switch (unit) {
+            case "year":
+                return this.getTimePeriod().hoursPerYear * 60 * 60 * 1000;
+            case "month":
+                return this.getTimePeriod().hoursPerMonth * 60 * 60 * 1000;
+            case "week":
+                return this.getTimePeriod().hoursPerWeek * 60 * 60 * 1000;
             case "day":
                 return this.getTimePeriod().hoursPerDay * 60 * 60 * 1000;
             case "hour":
@@ -395,6 +1722,16 @@ Calendar.prototype = {
         }
     },
 
+    /**
+     * True for the elapsed units eyear, emonth, eweek, eday,
+     * ehour, eminute, esecond and emillisecond.
+     * @param {String} unit
+     * @returns {boolean}
+     */
+    __isElapsedUnit: function (unit) {
+        return Object.prototype.hasOwnProperty.call(ELAPSED_UNITS, unit);
+    },
+
     __getUnitOrder: function (unit) {
         for (var i = 0, len = this.units.length; i < len; i++) {
             if (this.units[i] == unit)
@@ -417,7 +1754,24 @@ Calendar.prototype = {
      */
     getTimeZoneOffset: function () {
         let date = new Date();
-        return this.config.timeZoneOffset + date.getTimezoneOffset();
+        return getCalendarOffset(this.config, date.valueOf());
+    },
+
+    /**
+     * Returns false when no IANA time-zone is set.
+     * @returns {boolean}
+     */
+    isTimeZoneSet: function () {
+        return this.config.isTimeZoneSet;
+    },
+
+    /**
+     * Fetches the IANA time-zone, null when the calendar
+     * runs on a fixed offset.
+     * @returns {String}
+     */
+    getTimeZone: function () {
+        return getTimeZoneConfig(this.config).timeZone;
     },
 
     /**
@@ -437,349 +1791,1604 @@ Calendar.prototype = {
     },
 
     /**
-     * Fetches holidays.
-     * @returns {Date[]}
+     * Fetches holidays. With `asRanges`, exceptions set through
+     * `setException` and `setExceptionRange` are reported together
+     * as `{ start, end }` day ranges after resolving overlaps, with
+     * consecutive days of the same work time and details merged.
+     * @param {boolean} asRanges
+     * @returns {object[]}
      */
-    getExceptions: function () {
-        return this.config.exceptions;
-    },
-
-    isTimePeriodSet: function () {
-        return this.config.isTimePeriodSet;
-    },
-
-    getTimePeriod: function () {
-        return this.config.timePeriod;
-    },
+    getExceptions: function (asRanges) {
+        if (!asRanges) return cloneValue(this.config.exceptions);
 
-    __isException: function (date) {
-        let exception = this.config.exceptions.find(element => {
-            if (element.date.getFullYear() == date.getFullYear() && element.date.getMonth() == date.getMonth() && element.date.getDate() == date.getDate()) {
-                return true;
-            } else return false;
+        let oneDay = 24 * 60 * 60 * 1000;
+        let boundaries = [];
+        this.config.exceptions.forEach(exception => {
+            let day = getDayStart(exception.date);
+            boundaries.push(day, day + oneDay);
         });
-        return exception ? exception : false;
-    },
+        this.config.exceptionRanges.forEach(exceptionRange => {
+            boundaries.push(+exceptionRange.start, +exceptionRange.end + oneDay);
+        });
+        boundaries = boundaries.sort((a, b) => a - b).filter((day, i) => i == 0 || day != boundaries[i - 1]);
 
-    __getWorkTime: function (date) {
-        let shiftHours = [];
-        let shiftMinutes = [];
-        let shiftDuration = [];
-        let breakDuration = [];
-        let exception = this.__isException(date);
-        if (exception) {
+        let ranges = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            let exception = this.__findException(new Date(boundaries[i]));
+            if (!exception) continue;
+            let lastRange = ranges[ranges.length - 1];
+            let key = JSON.stringify([exception.shiftHours, exception.shiftMinutes, exception.availability, exception.shiftNames, exception.name, exception.category, exception.metadata]);
+            if (lastRange && +lastRange.end + oneDay == boundaries[i] && lastRange.key == key) {
+                lastRange.end = new Date(boundaries[i + 1] - oneDay);
+                continue;
+            }
+            let range = { start: new Date(boundaries[i]), end: new Date(boundaries[i + 1] - oneDay), key: key };
             if (exception.shiftHours) {
-                // shiftHours = exception.shiftHours;
-                // shiftMinutes = exception.shiftMinutes;
-                Object.assign(shiftHours, exception.shiftHours);
-                Object.assign(shiftMinutes, exception.shiftMinutes);
-            } else return { shiftHours: [], shiftMinutes: [], shiftDuration: [], breakDuration: [] };
-        } else {
-            if (!this.config.activeDays[date.getDay()].active) {
-                return { shiftHours: [], shiftMinutes: [], shiftDuration: [], breakDuration: [] };
-            } else {
-                // shiftHours = this.config.activeDays[date.getDay()].shiftHours;
-                // shiftMinutes = this.config.activeDays[date.getDay()].shiftMinutes;
-                Object.assign(shiftHours, this.config.activeDays[date.getDay()].shiftHours);
-                Object.assign(shiftMinutes, this.config.activeDays[date.getDay()].shiftMinutes);
+                range.shiftHours = exception.shiftHours.slice();
+                range.shiftMinutes = exception.shiftMinutes.slice();
+                if (exception.availability) range.availability = exception.availability.slice();
+                if (exception.shiftNames) range.shiftNames = exception.shiftNames.slice();
             }
+            ["name", "category", "metadata"].forEach(detail => {
+                if (exception[detail]) range[detail] = cloneValue(exception[detail]);
+            });
+            ranges.push(range);
         }
-        let randomDateStart = new Date();
-        let randomDateEnd = new Date(randomDateStart);
-        for (let i = 0; i < shiftHours.length / 2; i++) {
-            randomDateStart.setHours(shiftHours[2 * i], shiftMinutes[2 * i], 0, 0);
-            if (i > 0) {
-                breakDuration.push((randomDateStart.valueOf() - randomDateEnd.valueOf()) / (1000 * 60 * 60));
-            }
-            randomDateEnd.setHours(shiftHours[2 * i + 1], shiftMinutes[2 * i + 1], 0, 0);
-            shiftDuration.push((randomDateEnd.valueOf() - randomDateStart.valueOf()) / (1000 * 60 * 60));
+        ranges.forEach(range => delete range.key);
+        return ranges;
+    },
+
+    /**
+     * Fetches recurring exceptions with their rules.
+     * @returns {object[]}
+     */
+    getRecurringExceptions: function () {
+        return cloneValue(this.config.recurringExceptions);
+    },
+
+    /**
+     * Internal method.
+     * Describes the exception applying on the day `dayStart`,
+     * found by `__isException`, with the days it covers: a range
+     * as far as it applies around that day, other exceptions
+     * that day alone.
+     * @param {object} exception
+     * @param {number} dayStart
+     * @returns {object}
+     */
+    __getExceptionRecord: function (exception, dayStart) {
+        let oneDay = 24 * 60 * 60 * 1000;
+        let type = exception.recurrence ? "recurring" : exception.start ? "range" : "date";
+        let isSame = found => found && found.start && +found.start == +exception.start && +found.end == +exception.end;
+        let firstDay = dayStart;
+        let lastDay = dayStart;
+        if (type == "range") {
+            while (firstDay > +exception.start && isSame(this.__isException(new Date(firstDay - oneDay)))) firstDay -= oneDay;
+            while (lastDay < +exception.end && isSame(this.__isException(new Date(lastDay + oneDay)))) lastDay += oneDay;
         }
-        breakDuration.push(0);
-        return {
-            shiftHours: shiftHours,
-            shiftMinutes: shiftMinutes,
-            shiftDuration: shiftDuration,
-            breakDuration: breakDuration
+        let record = {
+            start: this.__postProcessDates(new Date(firstDay)),
+            end: this.__postProcessDates(new Date(lastDay + oneDay)),
+            type: type,
+            name: exception.name || null,
+            category: exception.category || null,
+            metadata: exception.metadata ? cloneValue(exception.metadata) : {},
+            isWorking: !!exception.shiftHours
         };
+        if (exception.shiftHours) {
+            record.shiftHours = exception.shiftHours.slice();
+            record.shiftMinutes = exception.shiftMinutes.slice();
+            if (exception.availability) record.availability = exception.availability.slice();
+            if (exception.shiftNames) record.shiftNames = exception.shiftNames.slice();
+        }
+        return record;
     },
 
     /**
-     * Fetches working hours.
+     * Fetches the exception applying on `date`, null when there
+     * is none. Exceptions of base calendars are included. The
+     * record holds the `start` and `end` instants of the days it
+     * covers, end excluded, its `type` (date, range or recurring),
+     * `name`, `category`, `metadata`, and `isWorking` with the
+     * shifts of a working exception.
      * @param {Date} date
      * @returns {object}
      */
-    getWorkTime: function (date) {
+    getExceptionFor: function (date) {
         let __date = this.__preProcessDates(date);
-        return this.__getWorkTime(__date);
+        let exception = this.__isException(__date);
+        return exception ? this.__getExceptionRecord(exception, getDayStart(__date)) : null;
     },
 
     /**
-     * Fetches weekends.
-     * @returns {number[]}
+     * Fetches the exceptions applying between `startDate` and
+     * `endDate`, as records like `getExceptionFor` returns, in
+     * order. `filter` is a function of the record, or an object
+     * whose properties the records must match, e.g.
+     * `{ category: "public holiday" }`; an array matches any of
+     * its values.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {Function|object} filter
+     * @returns {object[]}
      */
-    getWeekOffs: function () {
-        let weekOffs = [];
-        for (let i = 0; i < 7; i++) {
-            if (!this.config.activeDays[i].active) weekOffs.push(i);
+    getExceptionsBetween: function (startDate, endDate, filter) {
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        let isMatch = record => true;
+        if (typeof filter == "function") isMatch = filter;
+        else if (filter && typeof filter == "object") {
+            isMatch = record => Object.keys(filter).every(key => [].concat(filter[key]).indexOf(record[key]) != -1);
+        } else if (filter !== undefined && filter !== null) {
+            throw new Error("Filter must be a function or an object");
         }
-        return weekOffs;
-    },
-
-    __preProcessDates: function (date) {
-        let __date = new Date(date);
-        if (Number.isNaN(__date.valueOf())) {
-            let invalidDateError = new Error("Invalid date")
-            invalidDateError.name = "InvalidDateError";
-            throw invalidDateError;
+        let oneDay = 24 * 60 * 60 * 1000;
+        let records = [];
+        let lastRecord = null;
+        for (let day = getDayStart(__startDate); day < +__endDate; day += oneDay) {
+            let exception = this.__isException(new Date(day));
+            if (!exception) continue;
+            if (lastRecord && lastRecord.type == "range" && +lastRecord.end > +this.__postProcessDates(new Date(day))) continue;
+            lastRecord = this.__getExceptionRecord(exception, day);
+            if (isMatch(lastRecord)) records.push(lastRecord);
         }
-        __date.setMinutes(__date.getMinutes() - this.config.timeZoneOffset);
-        return __date;
+        return records;
     },
 
-    __postProcessDates: function (date) {
+    /**
+     * Fetches work weeks with their date ranges.
+     * @returns {object[]}
+     */
+    getWorkWeeks: function () {
+        return cloneValue(this.config.workWeeks);
+    },
+
+    isTimePeriodSet: function () {
+        return this.config.isTimePeriodSet;
+    },
+
+    getTimePeriod: function () {
+        if (this.config.isTimePeriodSet || !this.config.baseCalendar) return cloneValue(this.config.timePeriod);
+        return this.getBaseCalendar().getTimePeriod();
+    },
+
+    /**
+     * Finds the exception set for `date` through `setException`
+     * or, failing that, `setExceptionRange`.
+     * @param {Date} date
+     * @returns {object}
+     */
+    __findException: function (date) {
+        let day = getDayStart(date);
+        let exception = this.__getExceptionIndex().get(day);
+        if (exception) return exception;
+        let exceptionRanges = this.config.exceptionRanges;
+        for (let i = exceptionRanges.length - 1; i >= 0; i--) {
+            if (day >= +exceptionRanges[i].start && day <= +exceptionRanges[i].end) {
+                return Object.assign({ date: new Date(day) }, exceptionRanges[i]);
+            }
+        }
+        return undefined;
+    },
+
+    /**
+     * Finds the recurring exception falling on `date`,
+     * the one added last winning.
+     * @param {Date} date
+     * @param {boolean} skipBusinessDays - Ignores rules counting business days
+     * @returns {object}
+     */
+    __findRecurringException: function (date, skipBusinessDays) {
+        let recurringExceptions = this.config.recurringExceptions;
+        for (let i = recurringExceptions.length - 1; i >= 0; i--) {
+            let recurrence = recurringExceptions[i].recurrence;
+            if (skipBusinessDays && recurrence.businessDay !== undefined) continue;
+            if (this.__isObservedRecurrence(recurrence, date)) return recurringExceptions[i];
+        }
+        return undefined;
+    },
+
+    /**
+     * Finds the exception applying to `date`, looking at the
+     * exceptions of this calendar before those of its base.
+     * @param {Date} date
+     * @param {boolean} skipBusinessDays - Ignores rules counting business days
+     * @returns {object}
+     */
+    __findLayeredException: function (date, skipBusinessDays) {
+        let exception = this.__findException(date);
+        if (exception) return exception;
+        let recurringException = this.__findRecurringException(date, skipBusinessDays);
+        if (recurringException) {
+            return Object.assign({ date: new Date(getDayStart(date)) }, recurringException);
+        }
+        if (this.config.baseCalendar) return this.getBaseCalendar().__findLayeredException(date, skipBusinessDays);
+        return undefined;
+    },
+
+    __isException: function (date) {
+        let exception = this.__findLayeredException(date, false);
+        return exception ? exception : false;
+    },
+
+    /**
+     * Day is off by the weekly pattern alone.
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    __isWeekOff: function (date) {
+        return !this.__getDayPattern(date).active;
+    },
+
+    /**
+     * Weekly pattern of the day of `date`, taken from the
+     * work week in effect on that date or the default one.
+     * @param {Date} date
+     * @returns {object}
+     */
+    __getDayPattern: function (date) {
+        if (this.config.combination) return this.__getCombinedDayPattern(date);
+        let pattern = this.__getWorkWeekPattern(date, date.getUTCDay());
+        if (pattern) return pattern;
+        if (this.__isDaySetLocally(date.getUTCDay())) return this.config.activeDays[date.getUTCDay()];
+        return this.getBaseCalendar().__getDayPattern(date);
+    },
+
+    /**
+     * Pattern of weekday `day` in the work weeks of this calendar
+     * in effect on the day of `date`, undefined when none of them
+     * lists that weekday.
+     * @param {Date} date
+     * @param {number} day
+     * @returns {object}
+     */
+    __getWorkWeekPattern: function (date, day) {
+        let dayStart = getDayStart(date);
+        let workWeeks = this.config.workWeeks;
+        for (let i = workWeeks.length - 1; i >= 0; i--) {
+            if (dayStart < +workWeeks[i].start || (workWeeks[i].end && dayStart > +workWeeks[i].end)) continue;
+            if (workWeeks[i].days[day]) return workWeeks[i].days[day];
+        }
+        return undefined;
+    },
+
+    /**
+     * Day pattern of a calendar combined from others: the
+     * intersection or union of their working intervals on
+     * the day of `date`, read in this calendar's time-zone.
+     * An intersection is available as much as the least
+     * available calendar, a union as much as the most available
+     * one working. Shift names are kept where all calendars
+     * working agree on them.
+     * @param {Date} date
+     * @returns {object}
+     */
+    __getCombinedDayPattern: function (date) {
+        let oneDay = 24 * 60 * 60 * 1000;
+        let dayStart = getDayStart(date);
+        let dayEnd = dayStart + oneDay;
+        let firstInstant = this.__postProcessDates(new Date(dayStart));
+        let lastInstant = this.__postProcessDates(new Date(dayEnd));
+
+        let boundaries = [];
+        let calendarIntervals = this.__getCombinedCalendars().map(calendar => {
+            let firstDay = getDayStart(calendar.__preProcessDates(firstInstant)) - oneDay;
+            let lastDay = getDayStart(calendar.__preProcessDates(lastInstant));
+            let intervals = [];
+            for (let day = firstDay; day <= lastDay; day += oneDay) {
+                calendar.__getShiftIntervals(new Date(day)).forEach(interval => {
+                    let start = this.__preProcessDates(calendar.__postProcessDates(new Date(interval[0]))).valueOf();
+                    let end = this.__preProcessDates(calendar.__postProcessDates(new Date(interval[1]))).valueOf();
+                    start = Math.max(start, dayStart);
+                    end = Math.min(end, dayEnd);
+                    if (start >= end) return;
+                    intervals.push([start, end, interval[2], interval[3]]);
+                    boundaries.push(start, end);
+                });
+            }
+            return intervals;
+        });
+        boundaries = boundaries.sort((a, b) => a - b).filter((time, i) => i == 0 || time != boundaries[i - 1]);
+
+        let isIntersection = this.config.combination.operator == "intersection";
+        let intervals = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            let start = boundaries[i];
+            let end = boundaries[i + 1];
+            // Shift of each calendar covering the segment, the most available where shifts overlap
+            let shifts = calendarIntervals.map(calendarInterval => {
+                return calendarInterval.reduce((shift, interval) => {
+                    if (interval[0] > start || end > interval[1]) return shift;
+                    return shift && shift[2] >= interval[2] ? shift : interval;
+                }, null);
+            });
+            let working = shifts.filter(shift => shift);
+            if (!working.length || isIntersection && working.length < shifts.length) continue;
+            let factors = working.map(shift => shift[2]);
+            let availability = isIntersection ? Math.min.apply(null, factors) : Math.max.apply(null, factors);
+            let name = working.every(shift => shift[3] === working[0][3]) ? working[0][3] : null;
+            let last = intervals[intervals.length - 1];
+            if (last && last[1] == start && last[2] == availability && last[3] === name) last[1] = end;
+            else intervals.push([start, end, availability, name]);
+        }
+        if (!intervals.length) return { active: false };
+        let shiftHours = [];
+        let shiftMinutes = [];
+        intervals.forEach(interval => {
+            interval.slice(0, 2).forEach(time => {
+                let minutes = Math.round((time - dayStart) / (60 * 1000));
+                shiftHours.push(Math.floor(minutes / 60));
+                shiftMinutes.push(minutes % 60);
+            });
+        });
+        let pattern = { active: true, shiftHours: shiftHours, shiftMinutes: shiftMinutes };
+        if (intervals.some(interval => interval[2] != 1)) pattern.availability = intervals.map(interval => interval[2]);
+        if (intervals.some(interval => interval[3] !== null)) pattern.shiftNames = intervals.map(interval => interval[3]);
+        return pattern;
+    },
+
+    /**
+     * Whether the default pattern of a day comes from this
+     * calendar rather than from its base.
+     * @param {number} day
+     * @returns {boolean}
+     */
+    __isDaySetLocally: function (day) {
+        if (!this.config.baseCalendar) return true;
+        return this.config.areDaysSet || this.config.activeDays[day].isIndividuallySet;
+    },
+
+    /**
+     * Working day by the weekly pattern, dated exceptions and
+     * recurring exceptions other than those counting business
+     * days, which rely on this.
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    __isBusinessDay: function (date) {
+        let exception = this.__findLayeredException(date, true);
+        if (exception) return !!exception.shiftHours;
+        return !this.__isWeekOff(date);
+    },
+
+    /**
+     * Wall-clock day of the nth business day of a month,
+     * counted from its end when `nth` is negative.
+     * @param {number} year
+     * @param {number} month
+     * @param {number} nth
+     * @returns {number} `null` when the month has fewer business days
+     */
+    __getNthBusinessDay: function (year, month, nth) {
+        let step = nth > 0 ? 1 : -1;
+        let date = new Date(nth > 0 ? Date.UTC(year, month, 1) : Date.UTC(year, month + 1, 0));
+        let count = 0;
+        while (date.getUTCMonth() == month) {
+            if (this.__isBusinessDay(date) && ++count == Math.abs(nth)) return date.valueOf();
+            date.setUTCDate(date.getUTCDate() + step);
+        }
+        return null;
+    },
+
+    /**
+     * Checks whether a rule has an occurrence on `date`,
+     * before moving it to the observed day.
+     * @param {object} recurrence
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    __isRecurrence: function (recurrence, date) {
+        let day = getDayStart(date);
+        if (recurrence.start && day < +recurrence.start) return false;
+        if (recurrence.end && day > +recurrence.end) return false;
+        let year = date.getUTCFullYear();
+        let month = date.getUTCMonth();
+        let interval = recurrence.interval;
+
+        if (recurrence.frequency == "weekly") {
+            if (recurrence.day.indexOf(date.getUTCDay()) == -1) return false;
+            if (interval == 1) return true;
+            let oneWeek = 7 * 24 * 60 * 60 * 1000;
+            let firstWeekStart = +recurrence.start - recurrence.start.getUTCDay() * 24 * 60 * 60 * 1000;
+            return Math.floor((day - firstWeekStart) / oneWeek) % interval == 0;
+        }
+        if (recurrence.frequency == "yearly") {
+            if (interval > 1 && (year - recurrence.start.getUTCFullYear()) % interval) return false;
+            if (recurrence.easterOffset !== undefined) {
+                return day == getEasterSunday(year) + recurrence.easterOffset * 24 * 60 * 60 * 1000;
+            }
+            if (month != recurrence.month) return false;
+        } else if (interval > 1) {
+            let months = (year - recurrence.start.getUTCFullYear()) * 12 + month - recurrence.start.getUTCMonth();
+            if (months % interval) return false;
+        }
+
+        let daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        let dayOfMonth = date.getUTCDate();
+        if (recurrence.date !== undefined) {
+            return dayOfMonth == (recurrence.date > 0 ? recurrence.date : daysInMonth + recurrence.date + 1);
+        }
+        if (recurrence.businessDay !== undefined) {
+            return day == this.__getNthBusinessDay(year, month, recurrence.businessDay);
+        }
+        if (date.getUTCDay() != recurrence.day) return false;
+        if (recurrence.nth > 0) return Math.ceil(dayOfMonth / 7) == recurrence.nth;
+        return Math.ceil((daysInMonth - dayOfMonth + 1) / 7) == -recurrence.nth;
+    },
+
+    /**
+     * Checks whether a rule applies to `date`. Observed rules
+     * move occurrences on week-offs to the next working day
+     * of the week.
+     * @param {object} recurrence
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    __isObservedRecurrence: function (recurrence, date) {
+        if (!recurrence.observed) return this.__isRecurrence(recurrence, date);
+        if (this.__isWeekOff(date)) return false;
+        let __date = new Date(getDayStart(date));
+        do {
+            if (this.__isRecurrence(recurrence, __date)) return true;
+            __date.setUTCDate(__date.getUTCDate() - 1);
+        } while (this.__isWeekOff(__date));
+        return false;
+    },
+
+    __getWorkTime: function (date) {
+        let shiftHours = [];
+        let shiftMinutes = [];
+        let shiftDuration = [];
+        let breakDuration = [];
+        let availability = [];
+        let shiftNames = [];
+        let exception = this.__isException(date);
+        if (exception) {
+            if (exception.shiftHours) {
+                // shiftHours = exception.shiftHours;
+                // shiftMinutes = exception.shiftMinutes;
+                Object.assign(shiftHours, exception.shiftHours);
+                Object.assign(shiftMinutes, exception.shiftMinutes);
+                Object.assign(availability, exception.availability);
+                Object.assign(shiftNames, exception.shiftNames);
+            } else return { shiftHours: [], shiftMinutes: [], shiftDuration: [], breakDuration: [], availability: [], shiftNames: [] };
+        } else {
+            let pattern = this.__getDayPattern(date);
+            if (!pattern.active) {
+                return { shiftHours: [], shiftMinutes: [], shiftDuration: [], breakDuration: [], availability: [], shiftNames: [] };
+            } else {
+                // shiftHours = pattern.shiftHours;
+                // shiftMinutes = pattern.shiftMinutes;
+                Object.assign(shiftHours, pattern.shiftHours);
+                Object.assign(shiftMinutes, pattern.shiftMinutes);
+                Object.assign(availability, pattern.availability);
+                Object.assign(shiftNames, pattern.shiftNames);
+            }
+        }
+        let randomDateStart = new Date();
+        let randomDateEnd = new Date(randomDateStart);
+        for (let i = 0; i < shiftHours.length / 2; i++) {
+            randomDateStart.setUTCHours(shiftHours[2 * i], shiftMinutes[2 * i], 0, 0);
+            if (i > 0) {
+                breakDuration.push((randomDateStart.valueOf() - randomDateEnd.valueOf()) / (1000 * 60 * 60));
+            }
+            randomDateEnd.setUTCHours(shiftHours[2 * i + 1], shiftMinutes[2 * i + 1], 0, 0);
+            if (randomDateEnd < randomDateStart) randomDateEnd.setUTCDate(randomDateEnd.getUTCDate() + 1);
+            shiftDuration.push((randomDateEnd.valueOf() - randomDateStart.valueOf()) / (1000 * 60 * 60));
+            if (availability[i] === undefined) availability[i] = 1;
+            if (shiftNames[i] === undefined) shiftNames[i] = null;
+        }
+        breakDuration.push(0);
+        return {
+            shiftHours: shiftHours,
+            shiftMinutes: shiftMinutes,
+            shiftDuration: shiftDuration,
+            breakDuration: breakDuration,
+            availability: availability,
+            shiftNames: shiftNames
+        };
+    },
+
+    /**
+     * Fetches the shifts starting on the day of `date` as
+     * `{name, start, end}`, with a null name for unnamed
+     * shifts. Overnight shifts end on the next day.
+     * @param {Date} date
+     * @returns {object[]}
+     */
+    getShifts: function (date) {
+        let __date = this.__preProcessDates(date);
+        return this.__getShiftIntervals(__date).map(interval => this.__formatShift(interval));
+    },
+
+    /**
+     * Fetches the shift `date` falls in, as for `getShifts`,
+     * including overnight shifts of the previous day. Null
+     * when `date` is outside of working time or at the end
+     * of a shift.
+     * @param {Date} date
+     * @returns {object}
+     */
+    getShiftAt: function (date) {
+        let __date = this.__preProcessDates(date);
+        let previousDay = new Date(getDayStart(__date) - 24 * 60 * 60 * 1000);
+        let intervals = this.__getShiftIntervals(previousDay).concat(this.__getShiftIntervals(__date));
+        let interval = intervals.find(interval => interval[0] <= +__date && +__date < interval[1]);
+        return interval ? this.__formatShift(interval) : null;
+    },
+
+    __formatShift: function (interval) {
+        return {
+            name: interval[3],
+            start: this.__postProcessDates(new Date(interval[0])),
+            end: this.__postProcessDates(new Date(interval[1]))
+        };
+    },
+
+    /**
+     * Fetches working hours, with the `availability` and
+     * name of each shift.
+     * @param {Date} date
+     * @returns {object}
+     */
+    getWorkTime: function (date) {
+        let __date = this.__preProcessDates(date);
+        return this.__getWorkTime(__date);
+    },
+
+    /**
+     * Fetches weekends: the days off by the default weekly
+     * pattern, or by the work weeks in effect on `date` when
+     * it is given.
+     * @param {Date} date
+     * @returns {number[]}
+     */
+    getWeekOffs: function (date) {
+        let weekOffs = [];
+        if (this.config.combination) {
+            let calendarWeekOffs = this.__getCombinedCalendars().map(calendar => calendar.getWeekOffs(date));
+            let isIntersection = this.config.combination.operator == "intersection";
+            for (let i = 0; i < 7; i++) {
+                let isWeekOff = day => calendarWeekOffs[day].indexOf(i) != -1;
+                let days = calendarWeekOffs.map((weekOffs, day) => day);
+                if (isIntersection ? days.some(isWeekOff) : days.every(isWeekOff)) weekOffs.push(i);
+            }
+            return weekOffs;
+        }
+        let __date = date === undefined ? null : this.__preProcessDates(date);
+        let baseWeekOffs = this.config.baseCalendar ? this.getBaseCalendar().getWeekOffs(date) : [];
+        for (let i = 0; i < 7; i++) {
+            let pattern = __date ? this.__getWorkWeekPattern(__date, i) : undefined;
+            if (pattern) {
+                if (!pattern.active) weekOffs.push(i);
+            } else if (this.__isDaySetLocally(i) ? !this.config.activeDays[i].active : baseWeekOffs.indexOf(i) != -1) {
+                weekOffs.push(i);
+            }
+        }
+        return weekOffs;
+    },
+
+    /**
+     * Returns a calendar working only when this calendar and
+     * all `calendars` are working, e.g. to find time for a
+     * meeting of several teams. The result keeps the time-zone,
+     * time period and duration unit of this calendar.
+     * @param {...Calendar} calendars
+     * @returns {Calendar}
+     */
+    intersect: function () {
+        return this.__combine("intersection", Array.prototype.slice.call(arguments));
+    },
+
+    /**
+     * Returns a calendar working whenever this calendar or
+     * any of `calendars` is working. The result keeps the
+     * time-zone, time period and duration unit of this calendar.
+     * @param {...Calendar} calendars
+     * @returns {Calendar}
+     */
+    union: function () {
+        return this.__combine("union", Array.prototype.slice.call(arguments));
+    },
+
+    __combine: function (operator, calendars) {
+        calendars = [this].concat(calendars);
+        if (calendars.some(calendar => !(calendar instanceof Calendar))) {
+            throw new Error("Only calendars can be combined");
+        }
+        let builder = new CalendarBuilder();
+        let timeZoneConfig = getTimeZoneConfig(this.config);
+        builder.config.timeZone = timeZoneConfig.timeZone;
+        builder.config.isTimeZoneSet = timeZoneConfig.isTimeZoneSet;
+        builder.config.timeZoneOffset = timeZoneConfig.timeZoneOffset;
+        builder.config.isTimeZoneOffsetSet = timeZoneConfig.isTimeZoneOffsetSet;
+        builder.config.timePeriod = Object.assign({}, this.getTimePeriod());
+        builder.config.isTimePeriodSet = this.isTimePeriodSet();
+        builder.config.durationUnit = this.getDurationUnit();
+        builder.config.isDurationUnitSet = this.isDurationUnitSet();
+        builder.config.combination = {
+            operator: operator,
+            calendars: calendars
+        };
+        return builder.build();
+    },
+
+    /**
+     * Exports the working time from `startDate` to `endDate` as
+     * iCalendar (.ics) text: non-working days set by exceptions
+     * as all-day events and working intervals as timed events
+     * shown as free time.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {String}
+     */
+    toICS: function (startDate, endDate) {
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        let oneDay = 24 * 60 * 60 * 1000;
+        let events = [];
+        let lastEvent = null;
+        for (let day = getDayStart(__startDate); day < +__endDate; day += oneDay) {
+            let exception = this.__isException(new Date(day));
+            if (!exception || exception.shiftHours) continue;
+            if (lastEvent && +lastEvent.end == day) {
+                lastEvent.end = new Date(day + oneDay);
+                continue;
+            }
+            lastEvent = {
+                uid: formatWallTime(new Date(day), true) + "-non-working@gantt-calendar",
+                start: new Date(day),
+                end: new Date(day + oneDay),
+                isAllDay: true,
+                summary: "Non-working day"
+            };
+            events.push(lastEvent);
+        }
+        for (let interval of this.getWorkingIntervals(startDate, endDate)) {
+            events.push({
+                uid: interval.start.toISOString() + "-working@gantt-calendar",
+                start: interval.start,
+                end: interval.end,
+                summary: "Working time",
+                isTransparent: true
+            });
+        }
+        return ics.format(events);
+    },
+
+    /**
+     * Writes the calendar, and the base calendars it derives
+     * from, as Microsoft Project XML (MSPDI). Features MS Project
+     * has no counterpart for, like time-zones, Easter rules or
+     * overnight shifts of exceptions, are listed in `unsupported`.
+     * Combined calendars can't be written.
+     * @param {object} options
+     * @param {String} options.name - Name of the calendar
+     * @returns {object} `{ xml, unsupported }`
+     */
+    toMSProject: function (options) {
+        return mspdi.write(this, options);
+    },
+
+    /**
+     * Returns a versioned document of the calendar's own
+     * configuration that `CalendarBuilder.fromJSON` rebuilds
+     * the calendar from. Dates are wall-clock times of the
+     * calendar; base and combined calendars are nested.
+     * @returns {object}
+     */
+    toJSON: function () {
+        if (this.config.combination) {
+            return {
+                version: SCHEMA_VERSION,
+                combination: {
+                    operator: this.config.combination.operator,
+                    calendars: this.__getCombinedCalendars().map(calendar => calendar.toJSON())
+                }
+            };
+        }
+        let config = this.config;
+        let copyShifts = (target, source) => {
+            if (!source.shiftHours) return target;
+            target.shiftHours = source.shiftHours.slice();
+            target.shiftMinutes = source.shiftMinutes.slice();
+            if (source.availability) target.availability = source.availability.slice();
+            if (source.shiftNames) target.shiftNames = source.shiftNames.slice();
+            return target;
+        };
+        let copyDetails = (target, source) => {
+            ["name", "category", "metadata"].forEach(key => {
+                if (source[key]) target[key] = cloneValue(source[key]);
+            });
+            return target;
+        };
+        let activeDays = {};
+        for (let day = 0; day < 7; day++) {
+            let pattern = config.activeDays[day];
+            activeDays[day] = copyShifts({ active: pattern.active, isIndividuallySet: pattern.isIndividuallySet }, pattern);
+        }
+        return {
+            version: SCHEMA_VERSION,
+            timeZone: config.isTimeZoneSet ? config.timeZone : null,
+            timeZoneOffset: config.isTimeZoneOffsetSet ? getCalendarOffset(config, Date.now()) : null,
+            activeDays: activeDays,
+            areDaysSet: config.areDaysSet,
+            exceptions: config.exceptions.map(exception => {
+                return copyDetails(copyShifts({ date: formatWallTime(exception.date) }, exception), exception);
+            }),
+            exceptionRanges: config.exceptionRanges.map(exceptionRange => {
+                return copyDetails(copyShifts({
+                    start: formatWallTime(exceptionRange.start, true),
+                    end: formatWallTime(exceptionRange.end, true)
+                }, exceptionRange), exceptionRange);
+            }),
+            recurringExceptions: config.recurringExceptions.map(recurringException => {
+                let recurrence = Object.assign({}, recurringException.recurrence);
+                if (Array.isArray(recurrence.day)) recurrence.day = recurrence.day.slice();
+                if (recurrence.start) recurrence.start = formatWallTime(recurrence.start, true);
+                if (recurrence.end) recurrence.end = formatWallTime(recurrence.end, true);
+                return copyDetails(copyShifts({ recurrence: recurrence }, recurringException), recurringException);
+            }),
+            areExceptionsSet: config.areExceptionsSet,
+            workWeeks: config.workWeeks.map(workWeek => {
+                let days = {};
+                Object.keys(workWeek.days).forEach(day => {
+                    days[day] = copyShifts({ active: workWeek.days[day].active }, workWeek.days[day]);
+                });
+                return {
+                    name: workWeek.name,
+                    start: formatWallTime(workWeek.start, true),
+                    end: workWeek.end ? formatWallTime(workWeek.end, true) : null,
+                    days: days
+                };
+            }),
+            timePeriod: config.isTimePeriodSet ? Object.assign({}, config.timePeriod) : null,
+            durationUnit: config.isDurationUnitSet ? config.durationUnit : null,
+            baseCalendar: config.baseCalendar ? this.getBaseCalendar().toJSON() : null
+        };
+    },
+
+    __preProcessDates: function (date) {
         let __date = new Date(date);
-        __date.setMinutes(__date.getMinutes() + this.config.timeZoneOffset);
-        return __date;
+        if (Number.isNaN(__date.valueOf())) {
+            let invalidDateError = new Error("Invalid date")
+            invalidDateError.name = "InvalidDateError";
+            throw invalidDateError;
+        }
+        return toWallTime(this.config, __date);
+    },
+
+    __postProcessDates: function (date) {
+        return toInstant(this.config, new Date(date));
+    },
+
+    /**
+     * Real time elapsed between two wall-clock dates, in
+     * milliseconds. Differs from the plain difference when
+     * a DST switch lies in between.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {number}
+     */
+    __getElapsedTime: function (startDate, endDate) {
+        if (!this.getTimeZone()) return endDate.valueOf() - startDate.valueOf();
+        return toInstant(this.config, endDate).valueOf() - toInstant(this.config, startDate).valueOf();
+    },
+
+    /**
+     * Wall-clock date reached after `milliSecs` of real time.
+     * @param {Date} date
+     * @param {number} milliSecs
+     * @returns {Date}
+     */
+    __addElapsedTime: function (date, milliSecs) {
+        if (!this.getTimeZone()) return new Date(date.valueOf() + milliSecs);
+        return toWallTime(this.config, new Date(toInstant(this.config, date).valueOf() + milliSecs));
     },
 
     __isWorkingDay: function (date) {
         let exception = this.__isException(date);
         if (exception && !exception.shiftHours) return false;
         else if (exception && exception.shiftHours) return true;
-        if (this.config.activeDays[date.getDay()].active) return true;
+        if (this.__getDayPattern(date).active) return true;
         else return false;
     },
 
-    __isWorkTime: function (date) {
-        if (!this.__isWorkingDay(date)) return false;
+    /**
+     * Working intervals of the shifts starting on the day of
+     * `date`, as `[start, end, availability, name]` with wall-clock
+     * milliseconds. A shift ending before it starts runs overnight
+     * and ends on the next day. Calendars restricted to named
+     * shifts leave out the others.
+     * @param {Date} date
+     * @returns {number[][]}
+     */
+    __getShiftIntervals: function (date) {
+        let dayStart = getDayStart(date);
+        let cache = this.__getCache().shiftIntervals;
+        if (cache.has(dayStart)) return cache.get(dayStart);
         let workTime = this.__getWorkTime(date);
-        // let __date = new Date(date);
-        let dateA = new Date(date);
-        let dateB = new Date(date);
-        dateA.setHours(workTime.shiftHours[0], workTime.shiftMinutes[0], 0, 0);
-        dateB.setHours(workTime.shiftHours[workTime.shiftHours.length - 1], workTime.shiftMinutes[workTime.shiftMinutes.length - 1], 0, 0);
-        if (+date < +dateA || +date > +dateB) return false;
-        for (let i = 1; i < workTime.shiftHours.length / 2; i++) {
-            dateA.setHours(workTime.shiftHours[2 * i - 1], workTime.shiftMinutes[2 * i - 1], 0, 0);
-            dateB.setHours(workTime.shiftHours[2 * i], workTime.shiftMinutes[2 * i], 0, 0);
-            if (+date > +dateA && +date < +dateB) return false;
+        let intervals = [];
+        for (let i = 0; i < workTime.shiftHours.length / 2; i++) {
+            let start = dayStart + (workTime.shiftHours[2 * i] * 60 + workTime.shiftMinutes[2 * i]) * 60 * 1000;
+            let end = dayStart + (workTime.shiftHours[2 * i + 1] * 60 + workTime.shiftMinutes[2 * i + 1]) * 60 * 1000;
+            if (end < start) end += 24 * 60 * 60 * 1000;
+            let name = workTime.shiftNames[i];
+            if (this.__shiftNames && this.__shiftNames.indexOf(name) == -1) continue;
+            intervals.push([start, end, workTime.availability[i], name]);
         }
-        return true;
+        cache.set(dayStart, intervals);
+        return intervals;
+    },
+
+    /**
+     * Working intervals around `date`: those of the shifts
+     * starting on its day and those spilling over from the
+     * previous day, sorted and merged where they touch.
+     * @param {Date} date
+     * @returns {number[][]}
+     */
+    __getWorkIntervals: function (date) {
+        let dayStart = getDayStart(date);
+        let cache = this.__getCache().workIntervals;
+        if (cache.has(dayStart)) return cache.get(dayStart);
+        let previousDay = new Date(dayStart - 24 * 60 * 60 * 1000);
+        let intervals = mergeIntervals(this.__getShiftIntervals(previousDay).concat(this.__getShiftIntervals(date)));
+        cache.set(dayStart, intervals);
+        return intervals;
+    },
+
+    /**
+     * Intervals around `date` at which effort is done, as `[start,
+     * end, availability]` with wall-clock milliseconds: those of the
+     * shifts starting on its day and of those spilling over from
+     * the previous day. Where shifts overlap, the higher
+     * availability applies.
+     * @param {Date} date
+     * @returns {number[][]}
+     */
+    __getEffortIntervals: function (date) {
+        let dayStart = getDayStart(date);
+        let cache = this.__getCache().effortIntervals;
+        if (cache.has(dayStart)) return cache.get(dayStart);
+        let previousDay = new Date(dayStart - 24 * 60 * 60 * 1000);
+        let shiftIntervals = this.__getShiftIntervals(previousDay).concat(this.__getShiftIntervals(date));
+        let boundaries = [];
+        shiftIntervals.forEach(interval => boundaries.push(interval[0], interval[1]));
+        boundaries = boundaries.sort((a, b) => a - b).filter((time, i) => i == 0 || time != boundaries[i - 1]);
+        let intervals = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            let start = boundaries[i];
+            let end = boundaries[i + 1];
+            let availability = 0;
+            shiftIntervals.forEach(interval => {
+                if (interval[0] <= start && end <= interval[1]) availability = Math.max(availability, interval[2]);
+            });
+            if (!availability) continue;
+            let last = intervals[intervals.length - 1];
+            if (last && last[1] == start && last[2] == availability) last[1] = end;
+            else intervals.push([start, end, availability]);
+        }
+        cache.set(dayStart, intervals);
+        return intervals;
+    },
+
+    /**
+     * Real working time, in milliseconds, between the wall-clock
+     * times `from` and `to` of the day starting at `dayStart`.
+     * @param {number} dayStart
+     * @param {number} from
+     * @param {number} to
+     * @returns {number}
+     */
+    __getWorkTimeWithinDay: function (dayStart, from, to) {
+        let workTime = 0;
+        this.__getWorkIntervals(new Date(dayStart)).forEach(interval => {
+            let start = Math.max(interval[0], from);
+            let end = Math.min(interval[1], to);
+            if (start < end) workTime += this.__getElapsedTime(new Date(start), new Date(end));
+        });
+        return workTime;
+    },
+
+    /**
+     * Real working time, in milliseconds, of the whole day
+     * starting at `dayStart`.
+     * @param {number} dayStart
+     * @returns {number}
+     */
+    __getDayWorkTime: function (dayStart) {
+        let cache = this.__getCache().dayWorkTimes;
+        if (!cache.has(dayStart)) {
+            cache.set(dayStart, this.__getWorkTimeWithinDay(dayStart, dayStart, dayStart + 24 * 60 * 60 * 1000));
+        }
+        return cache.get(dayStart);
+    },
+
+    /**
+     * Real working time, in milliseconds, of the seven days
+     * from the day starting at `dayStart`.
+     * @param {number} dayStart
+     * @returns {number}
+     */
+    __getWeekWorkTime: function (dayStart) {
+        let cache = this.__getCache().weekWorkTimes;
+        if (!cache.has(dayStart)) {
+            let workTime = 0;
+            for (let i = 0; i < 7; i++) workTime += this.__getDayWorkTime(dayStart + i * 24 * 60 * 60 * 1000);
+            cache.set(dayStart, workTime);
+        }
+        return cache.get(dayStart);
+    },
+
+    /**
+     * Sum of the revisions of this calendar and of those it
+     * is derived or combined from. Revisions only grow, so
+     * the sum changes whenever any of them is built again
+     * with changes.
+     * @returns {number}
+     */
+    __getRevision: function () {
+        let revision = this.config.revision;
+        if (this.config.baseCalendar) revision += this.getBaseCalendar().__getRevision();
+        if (this.config.combination) {
+            this.__getCombinedCalendars().forEach(calendar => {
+                revision += calendar.__getRevision();
+            });
+        }
+        return revision;
+    },
+
+    /**
+     * Per-day results cached until a calendar this one
+     * depends on is built again with changes.
+     * @returns {object}
+     */
+    __getCache: function () {
+        let revision = this.__getRevision();
+        if (!this.__cache || this.__cache.revision != revision) {
+            this.__cache = {
+                revision: revision,
+                exceptionIndex: null,
+                shiftIntervals: new Map(),
+                workIntervals: new Map(),
+                effortIntervals: new Map(),
+                dayWorkTimes: new Map(),
+                weekWorkTimes: new Map()
+            };
+        }
+        return this.__cache;
+    },
+
+    /**
+     * Exceptions set through `setException` by the wall-clock
+     * day they fall on, the first one set for a day winning.
+     * @returns {Map}
+     */
+    __getExceptionIndex: function () {
+        let cache = this.__getCache();
+        if (!cache.exceptionIndex) {
+            cache.exceptionIndex = new Map();
+            this.config.exceptions.forEach(exception => {
+                let day = getDayStart(exception.date);
+                if (!cache.exceptionIndex.has(day)) cache.exceptionIndex.set(day, exception);
+            });
+        }
+        return cache.exceptionIndex;
+    },
+
+    __isWorkTime: function (date) {
+        return this.__getWorkIntervals(date).some(interval => {
+            return +date >= interval[0] && +date <= interval[1];
+        });
     },
 
     __getClosestPastWorkDate: function (date) {
         let __date = new Date(date);
-        let workTime = this.__getWorkTime(__date);
-
-        if (this.__isWorkingDay(__date)) {
-            let dayEndTime = new Date(__date);
-            dayEndTime.setHours(workTime.shiftHours[workTime.shiftHours.length - 1], workTime.shiftMinutes[workTime.shiftMinutes.length - 1], 0, 0);
-            if (+__date > +dayEndTime) {
-                __date.setHours(workTime.shiftHours[workTime.shiftHours.length - 1], workTime.shiftMinutes[workTime.shiftMinutes.length - 1], 0, 0);
-                return __date;
-            }
-            let dayStartTime = new Date(__date);
-            dayStartTime.setHours(workTime.shiftHours[0], workTime.shiftMinutes[0], 0, 0);
-            if (+__date <= +dayStartTime) {
-                __date.setDate(__date.getDate() - 1);
-            } else {
-                let comparisonPreviousShiftEnd = new Date(__date);
-                let comparisonNextShiftStart = new Date(comparisonPreviousShiftEnd);
-                for (let i = 1; i < (workTime.shiftHours.length / 2); i++) {
-                    comparisonPreviousShiftEnd.setHours(workTime.shiftHours[2 * i - 1], workTime.shiftMinutes[2 * i - 1], 0, 0);
-                    comparisonNextShiftStart.setHours(workTime.shiftHours[2 * i], workTime.shiftMinutes[2 * i], 0, 0);
-                    if (+__date > +comparisonPreviousShiftEnd && +__date <= +comparisonNextShiftStart) {
-                        __date.setHours(comparisonPreviousShiftEnd.getHours(), comparisonPreviousShiftEnd.getMinutes(), 0, 0);
-                        break;
-                    }
-                };
+        let day = new Date(getDayStart(__date));
+        for (let i = 0; i <= SEARCH_LIMIT_DAYS; i++) {
+            let intervals = this.__getWorkIntervals(day);
+            for (let j = intervals.length - 1; j >= 0; j--) {
+                if (intervals[j][0] >= +__date) continue;
+                if (intervals[j][1] < +__date) __date.setTime(intervals[j][1]);
                 return __date;
             }
+            day.setUTCDate(day.getUTCDate() - 1);
         }
+        this.__throwNoWorkTimeError();
+    },
+
+    /**
+     * Internal method.
+     * This calendar restricted to the shifts named in `shiftNames`,
+     * on the same configuration. Views are kept per set of names,
+     * so that their caches are reused.
+     * @param {String[]} shiftNames - All shifts when not set
+     * @returns {Calendar}
+     */
+    __getShiftView: function (shiftNames) {
+        if (shiftNames === undefined || shiftNames === null) return this;
+        if (!Array.isArray(shiftNames) || !shiftNames.every(name => typeof name == "string")) {
+            throw new Error("Shifts must be a list of shift names");
+        }
+        let key = JSON.stringify(shiftNames.slice().sort());
+        if (!this.__shiftViews) this.__shiftViews = new Map();
+        if (!this.__shiftViews.has(key)) {
+            let view = new Calendar(this.$CalendarBuilder, this.config);
+            view.__shiftNames = shiftNames.slice();
+            this.__shiftViews.set(key, view);
+        }
+        return this.__shiftViews.get(key);
+    },
 
-        while (!this.__isWorkingDay(__date)) {
-            __date.setDate(__date.getDate() - 1);
+    /**
+     * Internal method.
+     * Validates the snapping options of end dates and
+     * closest work dates.
+     * @param {object} options
+     * @param {String[]} policies - Snap policies allowed, defaults to all
+     * @returns {object}
+     */
+    __parseSnapOptions: function (options, policies) {
+        options = options || {};
+        policies = policies || SNAP_POLICIES;
+        if (options.snap !== undefined && policies.indexOf(options.snap) == -1) {
+            let names = policies.map(policy => "\"" + policy + "\"");
+            throw new Error("Snap policy must be " + names.slice(0, -1).join(", ") + " or " + names[names.length - 1]);
+        }
+        if (options.roundTo !== undefined && (typeof options.roundTo != "number" || !(options.roundTo > 0))) {
+            throw new Error("Rounding must be a positive number of milliseconds");
         }
-        workTime = this.__getWorkTime(__date);
-        __date.setHours(workTime.shiftHours[workTime.shiftHours.length - 1], workTime.shiftMinutes[workTime.shiftMinutes.length - 1], 0, 0);
+        return options;
+    },
+
+    /**
+     * Internal method.
+     * Moves a wall-clock date off a break as `policy` says, then
+     * rounds it to the nearest multiple of `roundTo` milliseconds
+     * of wall-clock time. Dates within working time don't move,
+     * but rounding may take them out of it.
+     * @param {Date} date
+     * @param {String} policy
+     * @param {number} roundTo
+     * @returns {Date}
+     */
+    __snapDate: function (date, policy, roundTo) {
+        let __date = date;
+        if (policy == "start-of-next") __date = this.__getClosestFutureWorkDate(__date);
+        else if (policy == "end-of-previous") __date = this.__getClosestPastWorkDate(__date);
+        if (roundTo) __date = new Date(Math.round(__date.valueOf() / roundTo) * roundTo);
         return __date;
     },
 
+    /**
+     * Internal method.
+     * Reports rejected input of modules built on the calendar,
+     * like `__reportError` of its builder: thrown when the builder
+     * is strict, logged and kept for `validate` otherwise.
+     * @param {String} code
+     * @param {*} value
+     * @param {String} message
+     * @param {String} fallbackMessage - What is done instead
+     */
+    __reportError: function (code, value, message, fallbackMessage) {
+        this.$CalendarBuilder.__reportError(code, value, message, fallbackMessage);
+    },
+
+    __throwNoWorkTimeError: function () {
+        let noWorkTimeError = new Error("No working time found within " + SEARCH_LIMIT_DAYS + " days");
+        noWorkTimeError.name = "NoWorkTimeError";
+        throw noWorkTimeError;
+    },
+
     /**
      * Calculates the closest business date prior to the passed argument.
      * Considers working days and working hours. Most effective when 
-     * argument is outside the work hours.
+     * argument is outside the work hours. The start of a shift counts
+     * as the end of the previous one, unless `options.snap` is "exact",
+     * which keeps dates on shift boundaries. "start-of-next" would
+     * look ahead of `date` and is rejected.
      * @param {Date} date
+     * @param {object} options
+     * @param {String} options.snap - "end-of-previous", the default, or "exact"
+     * @param {number} options.roundTo - Milliseconds to round the result to
      * @returns {Date}
      */
-    getClosestPastWorkDate: function (date) {
+    getClosestPastWorkDate: function (date, options) {
+        let snapOptions = this.__parseSnapOptions(options, ["end-of-previous", "exact"]);
         let __date = this.__preProcessDates(date);
-        __date = this.__getClosestPastWorkDate(__date);
+        if (snapOptions.snap != "exact" || !this.__isWorkTime(__date)) __date = this.__getClosestPastWorkDate(__date);
+        __date = this.__snapDate(__date, snapOptions.snap, snapOptions.roundTo);
         return this.__postProcessDates(__date);
     },
 
     __getClosestFutureWorkDate: function (date) {
         let __date = new Date(date);
-        let workTime = this.__getWorkTime(__date);
-
-        if (this.__isWorkingDay(__date)) {
-            let dayStartTime = new Date(__date);
-            dayStartTime.setHours(workTime.shiftHours[0], workTime.shiftMinutes[0], 0, 0);
-            if (+__date < +dayStartTime) {
-                __date.setHours(workTime.shiftHours[0], workTime.shiftMinutes[0], 0, 0);
-                return __date;
-            }
-            let dayEndTime = new Date(__date);
-            dayEndTime.setHours(workTime.shiftHours[workTime.shiftHours.length - 1], workTime.shiftMinutes[workTime.shiftMinutes.length - 1], 0, 0);
-            if (+__date >= +dayEndTime) {
-                __date.setDate(__date.getDate() + 1);
-            } else {
-                let comparisonPreviousShiftEnd = new Date(__date);
-                let comparisonNextShiftStart = new Date(comparisonPreviousShiftEnd);
-                for (let i = 1; i < (workTime.shiftHours.length / 2); i++) {
-                    comparisonPreviousShiftEnd.setHours(workTime.shiftHours[2 * i - 1], workTime.shiftMinutes[2 * i - 1], 0, 0);
-                    comparisonNextShiftStart.setHours(workTime.shiftHours[2 * i], workTime.shiftMinutes[2 * i], 0, 0);
-                    if (+__date >= +comparisonPreviousShiftEnd && +__date < +comparisonNextShiftStart) {
-                        __date.setHours(comparisonNextShiftStart.getHours(), comparisonNextShiftStart.getMinutes(), 0, 0);
-                        break;
-                    }
-                };
+        let day = new Date(getDayStart(__date));
+        for (let i = 0; i <= SEARCH_LIMIT_DAYS; i++) {
+            let intervals = this.__getWorkIntervals(day);
+            for (let j = 0; j < intervals.length; j++) {
+                if (intervals[j][1] <= +__date) continue;
+                if (intervals[j][0] > +__date) __date.setTime(intervals[j][0]);
                 return __date;
             }
+            day.setUTCDate(day.getUTCDate() + 1);
         }
-
-        while (!this.__isWorkingDay(__date)) {
-            __date.setDate(__date.getDate() + 1);
-        }
-        workTime = this.__getWorkTime(__date);
-        __date.setHours(workTime.shiftHours[0], workTime.shiftMinutes[0], 0, 0);
-        return __date;
+        this.__throwNoWorkTimeError();
     },
 
     /**
      * Calculates the closest business date at a time later than the
      * provided `date`. Considers working days and working hours.
-     * Most effective when argument is outside the work hours.
+     * Most effective when argument is outside the work hours. The
+     * end of a shift counts as the start of the next one, unless
+     * `options.snap` is "exact", which keeps dates on shift
+     * boundaries. "end-of-previous" would look back from `date`
+     * and is rejected.
      * @param {Date} date
+     * @param {object} options
+     * @param {String} options.snap - "start-of-next", the default, or "exact"
+     * @param {number} options.roundTo - Milliseconds to round the result to
      * @returns {Date}
      */
-    getClosestFutureWorkDate: function (date) {
+    getClosestFutureWorkDate: function (date, options) {
+        let snapOptions = this.__parseSnapOptions(options, ["start-of-next", "exact"]);
         let __date = this.__preProcessDates(date);
-        __date = this.__getClosestFutureWorkDate(__date);
+        if (snapOptions.snap != "exact" || !this.__isWorkTime(__date)) __date = this.__getClosestFutureWorkDate(__date);
+        __date = this.__snapDate(__date, snapOptions.snap, snapOptions.roundTo);
         return this.__postProcessDates(__date);
     },
 
-    __calculateDurationFromWorkTimeBoundary: function (date, unit, isFutureDirection) {
-        if (isFutureDirection == null || isFutureDirection == undefined) isFutureDirection = true;
-        unit = this.__getUnitOrder(unit) == -1 ? this.config.durationUnit : unit;
-        if (!this.__isWorkTime(date)) return 0;
-        let workTime = this.__getWorkTime(date);
-        let dateA = new Date(date);
-        let dateB = new Date(date);
-        let milliSecsDuration = 0;
-        for (let i = 0; i < workTime.shiftHours.length / 2; i++) {
-            dateA.setHours(workTime.shiftHours[2 * i], workTime.shiftMinutes[2 * i], 0, 0);
-            dateB.setHours(workTime.shiftHours[2 * i + 1], workTime.shiftMinutes[2 * i + 1], 0, 0);
-            if (+date >= dateA && +date <= dateB) {
-                if (isFutureDirection) milliSecsDuration = dateB.valueOf() - date.valueOf();
-                else milliSecsDuration = date.valueOf() - dateA.valueOf();
-                break;
+    /**
+     * Lazily yields the working intervals between the wall-clock
+     * dates `startDate` and `endDate`, as `[start, end]` wall-clock
+     * milliseconds clipped to the range and merged where they touch.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     */
+    __iterateWorkIntervals: function* (startDate, endDate) {
+        let pending = null;
+        let day = new Date(getDayStart(startDate) - 24 * 60 * 60 * 1000);
+        while (+day <= +endDate) {
+            for (let interval of this.__getShiftIntervals(day)) {
+                let start = Math.max(interval[0], +startDate);
+                let end = Math.min(interval[1], +endDate);
+                if (start >= end) continue;
+                if (pending && start <= pending[1]) {
+                    pending[1] = Math.max(pending[1], end);
+                    continue;
+                }
+                if (pending) yield pending;
+                pending = [start, end];
             }
+            day.setUTCDate(day.getUTCDate() + 1);
         }
-        if (unit == "millisecond") return milliSecsDuration;
-        if (unit == "second") return milliSecsDuration / 1000;
-        if (unit == "minute") return milliSecsDuration / (1000 * 60);
-        if (unit == "hour") return milliSecsDuration / (1000 * 60 * 60);
-        if (unit == "day") return milliSecsDuration / (1000 * 60 * 60 * this.getTimePeriod().hoursPerDay);
+        if (pending) yield pending;
     },
 
-    __getWorkingDate: function (__date, isNext, shouldConsiderworkTime) {
-        let __shouldConsiderworkTime = true;    // default
-        __date = new Date(__date);
-
-        if (shouldConsiderworkTime !== undefined && shouldConsiderworkTime !== null) {
-            __shouldConsiderworkTime = shouldConsiderworkTime;
+    __iterateWorkingIntervals: function* (startDate, endDate, minBreak) {
+        let pending = null;
+        for (let interval of this.__iterateWorkIntervals(startDate, endDate)) {
+            let start = this.__postProcessDates(new Date(interval[0]));
+            let end = this.__postProcessDates(new Date(interval[1]));
+            if (pending && +start - +pending.end < minBreak) {
+                pending.end = end;
+                continue;
+            }
+            if (pending) yield pending;
+            pending = { start: start, end: end };
         }
+        if (pending) yield pending;
+    },
 
-        if (__shouldConsiderWorkHours) {
-            let workHourStartDate = new Date(__date);
-            workHourStartDate.setHours(this.config.workHours.DAY_START, this.config.workHours.DAY_START_MINUTES, 0, 0);
-            let workHourEndDate = new Date(__date);
-            workHourEndDate.setHours(this.config.workHours.DAY_END, this.config.workHours.DAY_END_MINUTES, 0, 0);
-            if (+__date < +workHourStartDate || +__date >= +workHourEndDate) {
-                if (isNext) __date = this.__getClosestFutureWorkDate(__date);
-                else __date = this.__getClosestPastWorkDate(__date);
-            }
+    __iterateNonWorkingIntervals: function* (startDate, endDate, minBreak) {
+        let cursor = this.__postProcessDates(startDate);
+        for (let interval of this.__iterateWorkingIntervals(startDate, endDate, minBreak)) {
+            if (+interval.start > +cursor) yield { start: cursor, end: interval.start };
+            cursor = interval.end;
         }
+        let end = this.__postProcessDates(endDate);
+        if (+end > +cursor) yield { start: cursor, end: end };
+    },
 
-        do {
-            if (isNext) {
-                __date.setDate(__date.getDate() + 1);
-                if (__shouldConsiderWorkHours) {
-                    let tempDate = new Date(__date);
-                    tempDate.setHours(this.config.workHours.DAY_START, this.config.workHours.DAY_START_MINUTES, 0, 0);
-                    if (+tempDate == +__date) {
-                        __date.setDate(__date.getDate() - 1);
-                        __date.setHours(this.config.workHours.DAY_END, this.config.workHours.DAY_END_MINUTES, 0, 0);
-                    }
-                }
-            } else {
-                __date.setDate(__date.getDate() - 1);
-                if (__shouldConsiderWorkHours) {
-                    let tempDate = new Date(__date);
-                    tempDate.setHours(this.config.workHours.DAY_END, this.config.workHours.DAY_END_MINUTES, 0, 0);
-                    if (+tempDate == +__date) {
-                        __date.setDate(__date.getDate() + 1);
-                        __date.setHours(this.config.workHours.DAY_START, this.config.workHours.DAY_START_MINUTES, 0, 0);
-                    }
+    __iterateAvailabilityIntervals: function* (startDate, endDate) {
+        let oneDay = 24 * 60 * 60 * 1000;
+        let pending = null;
+        let toInterval = interval => ({
+            start: this.__postProcessDates(new Date(interval[0])),
+            end: this.__postProcessDates(new Date(interval[1])),
+            availability: interval[2]
+        });
+        for (let dayStart = getDayStart(startDate); dayStart < +endDate; dayStart += oneDay) {
+            // Effort intervals of a day reach into the next one, which lists them again
+            for (let interval of this.__getEffortIntervals(new Date(dayStart))) {
+                let start = Math.max(interval[0], dayStart, +startDate);
+                let end = Math.min(interval[1], dayStart + oneDay, +endDate);
+                if (start >= end) continue;
+                if (pending && start == pending[1] && interval[2] == pending[2]) {
+                    pending[1] = end;
+                    continue;
                 }
+                if (pending) yield toInterval(pending);
+                pending = [start, end, interval[2]];
             }
-        } while (!this.__isWorkingDay(__date))
+        }
+        if (pending) yield toInterval(pending);
+    },
 
-        return __date;
+    __validateMinBreak: function (minBreak) {
+        if (minBreak === undefined || minBreak === null) return 0;
+        if (typeof minBreak != "number" || Number.isNaN(minBreak) || minBreak < 0) {
+            throw new Error("Minimum break must be a non-negative number of milliseconds");
+        }
+        return minBreak;
     },
 
-    __calculateEndDate: function (fromDate, duration) {
-        let inc = duration > 0 ? 1 : -1;
-        let endDate = new Date(fromDate);
-        duration = Math.abs(duration);
-        let added = 0;
-        while (added < duration) {
-            let durationFromBoundary = this.__calculateDurationFromWorkTimeBoundary(endDate, this.config.durationUnit, inc == true);
-            let multiplyingFactor = this.__getConversionFactorToMS();
-            if ((duration - added) <= durationFromBoundary) {
-                endDate.setTime(endDate.getTime() + inc * (duration - added) * multiplyingFactor);
-                added = duration;
-            } else {
-                endDate.setTime(endDate.getTime() + inc * durationFromBoundary * multiplyingFactor);
-                if (inc == 1) endDate = this.__getClosestFutureWorkDate(endDate);
-                else endDate = this.__getClosestPastWorkDate(endDate);
-                added += durationFromBoundary;
+    /**
+     * Lazily iterates the working intervals between `startDate`
+     * and `endDate` as `{start, end}` dates, clipped to the range.
+     * Breaks shorter than `minBreak` milliseconds are merged into
+     * the surrounding intervals, e.g. for zoomed-out views.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {number} minBreak - Defaults to 0
+     * @returns {Iterator}
+     */
+    getWorkingIntervals: function (startDate, endDate, minBreak) {
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        return this.__iterateWorkingIntervals(__startDate, __endDate, this.__validateMinBreak(minBreak));
+    },
+
+    /**
+     * Lazily iterates the non-working intervals between `startDate`
+     * and `endDate` as `{start, end}` dates, the complement of
+     * `getWorkingIntervals` within the range.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {number} minBreak - Breaks shorter than this many
+     * milliseconds are left out. Defaults to 0
+     * @returns {Iterator}
+     */
+    getNonWorkingIntervals: function (startDate, endDate, minBreak) {
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        return this.__iterateNonWorkingIntervals(__startDate, __endDate, this.__validateMinBreak(minBreak));
+    },
+
+    /**
+     * Lazily iterates the working intervals between `startDate`
+     * and `endDate` as `{start, end, availability}`, clipped to
+     * the range and split where the availability of the shifts
+     * changes.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {Iterator}
+     */
+    getAvailabilityIntervals: function (startDate, endDate) {
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        return this.__iterateAvailabilityIntervals(__startDate, __endDate);
+    },
+
+    /**
+     * The working day `days` working days after, or when
+     * negative before, the day of `__date`; with 0 the day
+     * itself when working, else the next working day. Keeps
+     * the time of day unless `snapTo` is "start" (first
+     * shift start) or "end" (last shift end).
+     * @param {Date} __date
+     * @param {number} days
+     * @param {String} snapTo
+     * @returns {Date}
+     */
+    __getWorkingDate: function (__date, days, snapTo) {
+        let timeOfDay = __date.valueOf() - getDayStart(__date);
+        let day = new Date(getDayStart(__date));
+        let inc = days < 0 ? -1 : 1;
+        let remaining = Math.abs(days);
+        let gap = 0;
+        let isWorkingDay = this.__isWorkingDay(day);
+        while (remaining > 0 || !isWorkingDay) {
+            day.setUTCDate(day.getUTCDate() + inc);
+            isWorkingDay = this.__isWorkingDay(day);
+            if (isWorkingDay) {
+                remaining = Math.max(remaining - 1, 0);
+                gap = 0;
+            } else if (++gap > SEARCH_LIMIT_DAYS) this.__throwNoWorkTimeError();
+        }
+        let intervals = this.__getShiftIntervals(day);
+        if (snapTo && intervals.length) {
+            if (snapTo == "start") return new Date(Math.min.apply(null, intervals.map(interval => interval[0])));
+            return new Date(Math.max.apply(null, intervals.map(interval => interval[1])));
+        }
+        return new Date(day.valueOf() + timeOfDay);
+    },
+
+    __validateSnapTo: function (snapTo) {
+        if (snapTo !== undefined && snapTo !== null && snapTo != "start" && snapTo != "end") {
+            throw new Error("Snap option must be \"start\" or \"end\"");
+        }
+    },
+
+    /**
+     * Fetches the next working day after the day of `date`,
+     * honouring per-day shifts and exceptions.
+     * @param {Date} date
+     * @param {String} snapTo - "start" for the start of its first
+     * shift, "end" for the end of its last one; keeps the time
+     * of day when omitted
+     * @returns {Date}
+     */
+    getNextWorkingDay: function (date, snapTo) {
+        return this.addWorkingDays(date, 1, snapTo);
+    },
+
+    /**
+     * Fetches the previous working day before the day of `date`,
+     * honouring per-day shifts and exceptions.
+     * @param {Date} date
+     * @param {String} snapTo - "start" for the start of its first
+     * shift, "end" for the end of its last one; keeps the time
+     * of day when omitted
+     * @returns {Date}
+     */
+    getPreviousWorkingDay: function (date, snapTo) {
+        return this.addWorkingDays(date, -1, snapTo);
+    },
+
+    /**
+     * Adds or subtracts `days` working days to or from the day
+     * of `date`. Adding 0 returns the day itself when it is a
+     * working day, else the next working day.
+     * @param {Date} date
+     * @param {number} days - Integer, negative to go backwards
+     * @param {String} snapTo - "start" for the start of the first
+     * shift, "end" for the end of the last one; keeps the time
+     * of day when omitted
+     * @returns {Date}
+     */
+    addWorkingDays: function (date, days, snapTo) {
+        if (!Number.isInteger(days)) throw new Error("Number of working days must be an integer");
+        this.__validateSnapTo(snapTo);
+        let __date = this.__preProcessDates(date);
+        __date = this.__getWorkingDate(__date, days, snapTo);
+        return this.__postProcessDates(__date);
+    },
+
+    /**
+     * Walks the working time from `fromDate` until `duration`
+     * is used up. Whole weeks and days are skipped by their
+     * cached working totals, and only the day the end date
+     * falls on is walked interval by interval.
+     * @param {Date} fromDate
+     * @param {number} duration - Negative to walk backwards
+     * @param {String} unit
+     * @returns {Date}
+     */
+    __calculateEndDate: function (fromDate, duration, unit) {
+        if (this.__getUnitOrder(unit) == -1) unit = this.getDurationUnit();
+        let oneDay = 24 * 60 * 60 * 1000;
+        let isForward = duration > 0;
+        let remaining = Math.abs(duration) * this.__getConversionFactorToMS(unit);
+        let dayStart = getDayStart(fromDate);
+        let from = isForward ? +fromDate : dayStart;
+        let to = isForward ? dayStart + oneDay : +fromDate;
+        let idleDays = 0;
+        while (true) {
+            let endDate = this.__findEndDateWithinDay(dayStart, from, to, remaining, isForward);
+            if (endDate) return endDate;
+            let workTime = this.__getWorkTimeWithinDay(dayStart, from, to);
+            remaining -= workTime;
+            idleDays = workTime ? 0 : idleDays + 1;
+            dayStart += isForward ? oneDay : -oneDay;
+            let weekStart = isForward ? dayStart : dayStart - 6 * oneDay;
+            let weekWorkTime;
+            while (remaining > (weekWorkTime = this.__getWeekWorkTime(weekStart))) {
+                remaining -= weekWorkTime;
+                idleDays = weekWorkTime ? 0 : idleDays + 7;
+                if (idleDays > SEARCH_LIMIT_DAYS) this.__throwNoWorkTimeError();
+                dayStart += isForward ? 7 * oneDay : -7 * oneDay;
+                weekStart += isForward ? 7 * oneDay : -7 * oneDay;
+            }
+            if (idleDays > SEARCH_LIMIT_DAYS) this.__throwNoWorkTimeError();
+            from = dayStart;
+            to = dayStart + oneDay;
+        }
+    },
+
+    /**
+     * End date reached within the wall-clock times `from` and
+     * `to` of the day starting at `dayStart` after `remaining`
+     * milliseconds of working time, null when the working time
+     * of that span is not enough.
+     * @param {number} dayStart
+     * @param {number} from
+     * @param {number} to
+     * @param {number} remaining
+     * @param {boolean} isForward
+     * @returns {Date}
+     */
+    __findEndDateWithinDay: function (dayStart, from, to, remaining, isForward) {
+        let intervals = this.__getWorkIntervals(new Date(dayStart));
+        for (let i = 0; i < intervals.length; i++) {
+            let interval = intervals[isForward ? i : intervals.length - 1 - i];
+            let start = Math.max(interval[0], from);
+            let end = Math.min(interval[1], to);
+            if (start >= end) continue;
+            let workTime = this.__getElapsedTime(new Date(start), new Date(end));
+            if (remaining <= workTime) {
+                if (isForward) return this.__addElapsedTime(new Date(start), remaining);
+                return this.__addElapsedTime(new Date(end), -remaining);
             }
+            remaining -= workTime;
         }
-        return endDate;
+        return null;
     },
 
     /**
      * Adds or subtracts the provided number of `duration`
-     * to or from the `fromDate`.
+     * to or from the `fromDate`. `duration` may also be a
+     * duration string such as "2w 3d 4.5h". Elapsed units
+     * such as eday and ehour, or strings such as "2ed",
+     * add real time and ignore shifts and exceptions.
+     * The end date is exact by default, e.g. the end of a shift;
+     * `options.snap` moves end dates on a break to the start of the
+     * next working period ("start-of-next", for start dates) or the
+     * end of the previous one ("end-of-previous", for finish dates).
      * @param {Date} fromDate 
-     * @param {number} duration - Decimal and negative values are valid
-     * @param {String} unit - Decimal and negative values are valid
+     * @param {number|String} duration - Decimal and negative values are valid
+     * @param {String} unit - Defaults to the duration unit of the calendar
+     * @param {object} options
+     * @param {String} options.snap - Defaults to "exact"
+     * @param {number} options.roundTo - Milliseconds to round the result to,
+     * e.g. 15 minutes
+     * @param {String[]} options.shifts - Names of the shifts to work in,
+     * e.g. ["Night"]; all shifts when not set
      * @returns {Date}
      */
-    calculateEndDate: function (fromDate, duration) {
+    calculateEndDate: function (fromDate, duration, unit, options) {
+        let snapOptions = this.__parseSnapOptions(options);
+        let calendar = this.__getShiftView(snapOptions.shifts);
         let __fromDate = this.__preProcessDates(fromDate);
-        if (duration == 0) return this.__postProcessDates(__fromDate);
-        let endDate = this.__calculateEndDate(__fromDate, duration);
-        return this.__postProcessDates(endDate);
+        if (typeof duration == "string") {
+            let parsed = this.__parseDurationString(duration);
+            duration = parsed.milliSecs;
+            unit = parsed.isElapsed ? "emillisecond" : "millisecond";
+        }
+        let endDate = __fromDate;
+        if (duration != 0 && this.__isElapsedUnit(unit)) endDate = this.__addElapsedTime(__fromDate, duration * ELAPSED_UNITS[unit]);
+        else if (duration != 0) endDate = calendar.__calculateEndDate(__fromDate, duration, unit);
+        endDate = calendar.__snapDate(endDate, snapOptions.snap, snapOptions.roundTo);
+        if (duration == 0) return this.__postProcessDates(endDate);
+        return calendar.__resolveEndDate(new Date(fromDate), endDate, duration, unit);
+    },
+
+    /**
+     * Internal method.
+     * Instant of the wall-clock end date of a calculation from
+     * `fromDate`. Of the two instants of a time repeated by a DST
+     * switch, the later one is taken when the time from `fromDate`
+     * to the earlier one falls short of the duration, or backwards
+     * exceeds it.
+     * @param {Date} fromDate - Instant the calculation started at
+     * @param {Date} endDate - Wall-clock end date
+     * @param {number} duration - Negative backwards
+     * @param {String} unit - Working or elapsed unit
+     * @returns {Date}
+     */
+    __resolveEndDate: function (fromDate, endDate, duration, unit) {
+        let instants = getInstants(this.config, endDate);
+        if (instants.length == 1) return instants[0];
+        if (!this.__isElapsedUnit(unit) && this.__getUnitOrder(unit) == -1) unit = this.getDurationUnit();
+        // Only the earlier instant reads back as itself, so the time is measured up to it
+        let span = duration > 0 ? [fromDate, instants[0]] : [instants[0], fromDate];
+        let time = span[1] - span[0];
+        if (!this.__isElapsedUnit(unit)) time = this.calculateWorkingDuration(span[0], span[1], "millisecond");
+        // Working time is summed in milliseconds, so rounding stays below one
+        let shortfall = Math.abs(duration) * this.__getConversionFactorToMS(unit) - time;
+        return (duration > 0 ? shortfall > 1 : shortfall < -1) ? instants[1] : instants[0];
+    },
+
+    /**
+     * Total milliseconds of a duration string and whether
+     * it is elapsed time. Elapsed and working parts cannot
+     * be mixed, as they do not convert into each other.
+     * @param {String} durationString
+     * @returns {{milliSecs: number, isElapsed: boolean}}
+     */
+    __parseDurationString: function (durationString) {
+        let match = /^\s*([+-]?)\s*((?:\d+(?:\.\d+)?|\.\d+)\s*[a-z]+(?:\s*(?:\d+(?:\.\d+)?|\.\d+)\s*[a-z]+)*)\s*$/i
+            .exec(String(durationString));
+        if (!match) throw new Error("Duration string is invalid");
+        let milliSecs = 0;
+        let isElapsed = null;
+        let partPattern = /(\d+(?:\.\d+)?|\.\d+)\s*([a-z]+)/gi;
+        let part;
+        while ((part = partPattern.exec(match[2]))) {
+            let partUnit = DURATION_ABBREVIATIONS[part[2].toLowerCase()];
+            if (!partUnit) throw new Error("Duration string is invalid");
+            if (isElapsed === null) isElapsed = this.__isElapsedUnit(partUnit);
+            else if (isElapsed != this.__isElapsedUnit(partUnit)) {
+                throw new Error("Duration string mixes elapsed and working time");
+            }
+            milliSecs += parseFloat(part[1]) * this.__getConversionFactorToMS(partUnit);
+        }
+        if (match[1] == "-") milliSecs = -milliSecs;
+        return { milliSecs: milliSecs, isElapsed: isElapsed };
+    },
+
+    /**
+     * Converts a duration string such as "2w 3d 4.5h" or "-90m"
+     * into a number of `unit`. Abbreviations are y (year), mo
+     * (month), w (week), d (day), h (hour), m (minute), s (second)
+     * and ms (millisecond); units from day up are converted
+     * through the time period of the calendar. Prefixed with
+     * "e" (e.g. "2ed 4eh") they stand for elapsed units.
+     * @param {String} durationString
+     * @param {String} unit - Defaults to the duration unit of the
+     * calendar, or its elapsed counterpart for elapsed strings
+     * @returns {number}
+     */
+    parseDuration: function (durationString, unit) {
+        let parsed = this.__parseDurationString(durationString);
+        if (unit === undefined || unit === null) {
+            unit = parsed.isElapsed ? "e" + this.getDurationUnit() : this.getDurationUnit();
+        }
+        if (parsed.isElapsed != this.__isElapsedUnit(unit)) {
+            throw new Error("Elapsed and working durations cannot be converted into each other");
+        }
+        return parsed.milliSecs / this.__getConversionFactorToMS(unit);
+    },
+
+    /**
+     * Formats a working duration in milliseconds as a string
+     * such as "2w 3d 4h 30m", using the hours per day and per
+     * week of the calendar. The last of `abbreviations` takes
+     * the remainder with up to two decimals; rounding it up to a
+     * whole larger unit carries over into that unit.
+     * @param {number} milliSecs
+     * @param {String[]} abbreviations - Defaults to ["w", "d", "h", "m"]
+     * @returns {String}
+     */
+    formatDuration: function (milliSecs, abbreviations) {
+        abbreviations = abbreviations || ["w", "d", "h", "m"];
+        if (!abbreviations.length || abbreviations.some(abbreviation => !DURATION_ABBREVIATIONS[abbreviation])) {
+            throw new Error("Duration unit is invalid");
+        }
+        // Rounding the total to hundredths of the last unit first carries
+        // it into the larger units, e.g. 59.999 minutes make "1h"
+        let lastFactor = this.__getConversionFactorToMS(DURATION_ABBREVIATIONS[abbreviations[abbreviations.length - 1]]);
+        let remainder = Math.round(Math.abs(milliSecs) / lastFactor * 100);
+        let parts = [];
+        abbreviations.forEach((abbreviation, i) => {
+            let size = this.__getConversionFactorToMS(DURATION_ABBREVIATIONS[abbreviation]) / lastFactor * 100;
+            let value;
+            if (i == abbreviations.length - 1) {
+                value = Math.round(remainder) / 100;
+            } else {
+                value = Math.floor(remainder / size + 1e-9);
+                remainder -= value * size;
+            }
+            if (value) parts.push(value + abbreviation);
+        });
+        if (!parts.length) return "0" + abbreviations[abbreviations.length - 1];
+        return (milliSecs < 0 ? "-" : "") + parts.join(" ");
     },
 
+    /**
+     * Sums the working time between two dates, skipping whole
+     * weeks and days by their cached working totals.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {String} unit
+     * @returns {number}
+     */
     __calculateWorkingDuration: function (startDate, endDate, unit) {
         if (startDate.getTime() == endDate.getTime()) return 0;
         let __startDate = new Date(startDate);
         let __endDate = new Date(endDate);
-        if (this.__getUnitOrder(unit) == -1) unit = this.config.durationUnit;
+        if (this.__getUnitOrder(unit) == -1) unit = this.getDurationUnit();
 
         // Safety check
         if (__startDate > __endDate) {
@@ -788,45 +3397,224 @@ Calendar.prototype = {
             __endDate = tempDate;
         }
 
-        __startDate = this.__getClosestFutureWorkDate(__startDate);
-        __endDate = this.__getClosestFutureWorkDate(__endDate);
-        let duration = 0;
-        while (__startDate < __endDate) {
-            let next = new Date(__startDate);
-            let durationFromBoundary = this.__calculateDurationFromWorkTimeBoundary(__startDate, 'millisecond', true);
-            next.setTime(next.getTime() + durationFromBoundary);
-            if (+next < +__endDate) {
-                duration += durationFromBoundary;
-                __startDate = this.__getClosestFutureWorkDate(next);
-            } else {
-                let toAdd = __endDate.valueOf() - __startDate.valueOf();
-                duration += toAdd;
-                __startDate = new Date(__endDate);
-            }
+        // Both ends must have working time ahead of them
+        this.__getClosestFutureWorkDate(__startDate);
+        this.__getClosestFutureWorkDate(__endDate);
+
+        let oneDay = 24 * 60 * 60 * 1000;
+        let from = +__startDate;
+        let to = +__endDate;
+        let dayStart = getDayStart(__startDate);
+        if (to <= dayStart + oneDay) {
+            return this.__getWorkTimeWithinDay(dayStart, from, to) / this.__getConversionFactorToMS(unit);
         }
-        if (unit == "millisecond") return duration;
-        if (unit == "second") return duration / 1000;
-        if (unit == "minute") return duration / (1000 * 60);
-        if (unit == "hour") return duration / (1000 * 60 * 60);
-        if (unit == "day") return duration / (1000 * 60 * 60 * this.getTimePeriod().hoursPerDay);
+        let duration = this.__getWorkTimeWithinDay(dayStart, from, dayStart + oneDay);
+        dayStart += oneDay;
+        while (dayStart + 7 * oneDay <= to) {
+            duration += this.__getWeekWorkTime(dayStart);
+            dayStart += 7 * oneDay;
+        }
+        while (dayStart + oneDay <= to) {
+            duration += this.__getDayWorkTime(dayStart);
+            dayStart += oneDay;
+        }
+        duration += this.__getWorkTimeWithinDay(dayStart, dayStart, to);
+        return duration / this.__getConversionFactorToMS(unit);
     },
 
     /**
      * Calculates working duration between the passed
      * arguments. If no unit is provided, it retrieves
      * its value from that which was provided to
-     * CalendarBuilder
+     * CalendarBuilder. Elapsed units such as eday and
+     * ehour measure the real time in between instead.
      * @param {Date} startDate 
      * @param {Date} endDate
      * @param {String} unit
+     * @param {object} options
+     * @param {String[]} options.shifts - Names of the shifts to count,
+     * e.g. ["Night"]; all shifts when not set
+     * @returns {number}
+     */
+    calculateWorkingDuration: function (startDate, endDate, unit, options) {
+        if (arguments.length < 2) throw new Error("Start and End date must be provided");
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        if (this.__isElapsedUnit(unit)) {
+            return Math.abs(this.__getElapsedTime(__startDate, __endDate)) / ELAPSED_UNITS[unit];
+        }
+        let calendar = this.__getShiftView(options && options.shifts);
+        return calendar.__calculateWorkingDuration(__startDate, __endDate, unit);
+    },
+
+    /**
+     * Splits the range from `startDate` to `endDate` into days,
+     * ISO weeks, months or quarters of the calendar. Each entry
+     * holds the `start` and `end` of its period within the range,
+     * a `period` label such as "2019-W27", the `workingTime` and
+     * `nonWorkingTime` in `unit` and the number of `workingDays`
+     * with working time in the period. Working times add up to
+     * `calculateWorkingDuration` of the range.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {String} granularity - day, week, month or quarter
+     * @param {String} unit - Defaults to the duration unit
+     * @returns {object[]}
+     */
+    getWorkingTimeBreakdown: function (startDate, endDate, granularity, unit) {
+        if (["day", "week", "month", "quarter"].indexOf(granularity) == -1) {
+            throw new Error("Granularity must be day, week, month or quarter");
+        }
+        let __startDate = this.__preProcessDates(startDate);
+        let __endDate = this.__preProcessDates(endDate);
+        if (__startDate > __endDate) {
+            let tempDate = __startDate;
+            __startDate = __endDate;
+            __endDate = tempDate;
+        }
+        let oneDay = 24 * 60 * 60 * 1000;
+        let conversionFactor = this.__getConversionFactorToMS(unit);
+        let entries = [];
+        for (let from = +__startDate; from < +__endDate;) {
+            let period = getPeriod(from, granularity);
+            let to = Math.min(period.end, +__endDate);
+            let workingTime = 0;
+            let workingDays = 0;
+            for (let dayStart = getDayStart(new Date(from)); dayStart < to; dayStart += oneDay) {
+                let isWholeDay = from <= dayStart && dayStart + oneDay <= to;
+                let dayWorkTime = isWholeDay ? this.__getDayWorkTime(dayStart)
+                    : this.__getWorkTimeWithinDay(dayStart, Math.max(from, dayStart), Math.min(to, dayStart + oneDay));
+                // Days cut by the range count when work is left in them
+                if (dayWorkTime > 0 && this.__isWorkingDay(new Date(dayStart))) workingDays++;
+                workingTime += dayWorkTime;
+            }
+            let elapsedTime = this.__getElapsedTime(new Date(from), new Date(to));
+            entries.push({
+                start: this.__postProcessDates(new Date(from)),
+                end: this.__postProcessDates(new Date(to)),
+                period: period.label,
+                workingTime: workingTime / conversionFactor,
+                nonWorkingTime: (elapsedTime - workingTime) / conversionFactor,
+                workingDays: workingDays
+            });
+            from = to;
+        }
+        return entries;
+    },
+
+    /**
+     * Internal method.
+     * Converts an effort in `unit`, or an effort string such
+     * as "2d 4h", to milliseconds. Effort is working time, so
+     * elapsed units are rejected.
+     * @param {number|String} effort
+     * @param {String} unit
+     * @returns {number}
+     */
+    __getEffortInMS: function (effort, unit) {
+        if (typeof effort == "string") {
+            let parsed = this.__parseDurationString(effort);
+            if (parsed.isElapsed) throw new Error("Effort cannot be given in elapsed time");
+            return parsed.milliSecs;
+        }
+        if (this.__isElapsedUnit(unit)) throw new Error("Effort cannot be given in elapsed time");
+        if (this.__getUnitOrder(unit) == -1) unit = this.getDurationUnit();
+        return effort * this.__getConversionFactorToMS(unit);
+    },
+
+    /**
+     * Walks from `fromDate` day by day through the effort
+     * intervals until `effort` milliseconds are done, forward
+     * or, for negative efforts, backward.
+     * @param {Date} fromDate
+     * @param {number} effort
+     * @returns {Date}
+     */
+    __calculateEffortEndDate: function (fromDate, effort) {
+        let oneDay = 24 * 60 * 60 * 1000;
+        let isForward = effort > 0;
+        let remaining = Math.abs(effort);
+        let dayStart = getDayStart(fromDate);
+        let from = isForward ? +fromDate : dayStart;
+        let to = isForward ? dayStart + oneDay : +fromDate;
+        let idleDays = 0;
+        while (true) {
+            let intervals = this.__getEffortIntervals(new Date(dayStart));
+            let dayEffort = 0;
+            for (let i = 0; i < intervals.length; i++) {
+                let interval = intervals[isForward ? i : intervals.length - 1 - i];
+                let start = Math.max(interval[0], from);
+                let end = Math.min(interval[1], to);
+                if (start >= end) continue;
+                let intervalEffort = this.__getElapsedTime(new Date(start), new Date(end)) * interval[2];
+                if (remaining <= intervalEffort) {
+                    let workTime = Math.round(remaining / interval[2]);
+                    if (isForward) return this.__addElapsedTime(new Date(start), workTime);
+                    return this.__addElapsedTime(new Date(end), -workTime);
+                }
+                remaining -= intervalEffort;
+                dayEffort += intervalEffort;
+            }
+            idleDays = dayEffort ? 0 : idleDays + 1;
+            if (idleDays > SEARCH_LIMIT_DAYS) this.__throwNoWorkTimeError();
+            dayStart += isForward ? oneDay : -oneDay;
+            from = dayStart;
+            to = dayStart + oneDay;
+        }
+    },
+
+    /**
+     * Effort counterpart of `calculateEndDate`. Shifts do effort
+     * at their availability, so 16 hours of effort take four
+     * 8-hour days at an availability of 0.5.
+     * @param {Date} fromDate
+     * @param {number|String} effort - Decimal and negative values are valid
+     * @param {String} unit - Defaults to the duration unit of the calendar
+     * @returns {Date}
+     */
+    calculateEffortEndDate: function (fromDate, effort, unit) {
+        let __fromDate = this.__preProcessDates(fromDate);
+        let milliSecs = this.__getEffortInMS(effort, unit);
+        if (milliSecs == 0) return this.__postProcessDates(__fromDate);
+        return this.__postProcessDates(this.__calculateEffortEndDate(__fromDate, milliSecs));
+    },
+
+    /**
+     * Effort counterpart of `calculateWorkingDuration`: the
+     * working time between two dates, each shift weighted by
+     * its availability.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {String} unit - Defaults to the duration unit of the calendar
      * @returns {number}
      */
-    calculateWorkingDuration: function (startDate, endDate, unit) {
+    calculateEffort: function (startDate, endDate, unit) {
         if (arguments.length < 2) throw new Error("Start and End date must be provided");
+        let conversionFactor = this.__getEffortInMS(1, unit);
         let __startDate = this.__preProcessDates(startDate);
         let __endDate = this.__preProcessDates(endDate);
-        return this.__calculateWorkingDuration(__startDate, __endDate, unit);
+        let from = Math.min(+__startDate, +__endDate);
+        let to = Math.max(+__startDate, +__endDate);
+        if (from == to) return 0;
+
+        // Both ends must have working time ahead of them
+        this.__getClosestFutureWorkDate(new Date(from));
+        this.__getClosestFutureWorkDate(new Date(to));
+
+        let oneDay = 24 * 60 * 60 * 1000;
+        let effort = 0;
+        for (let dayStart = getDayStart(new Date(from)); dayStart < to; dayStart += oneDay) {
+            this.__getEffortIntervals(new Date(dayStart)).forEach(interval => {
+                let start = Math.max(interval[0], from, dayStart);
+                let end = Math.min(interval[1], to, dayStart + oneDay);
+                if (start < end) effort += this.__getElapsedTime(new Date(start), new Date(end)) * interval[2];
+            });
+        }
+        return effort / conversionFactor;
     },
 }
 
-module.exports = CalendarBuilder;
\ No newline at end of file
+module.exports = CalendarBuilder;
+module.exports.Scheduler = require("./scheduler");
+module.exports.ResourcePool = require("./resources");
+module.exports.SlaTimer = require("./sla");
\ No newline at end of file
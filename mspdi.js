@@ -0,0 +1,548 @@
+/**
+ * Conversion between calendars and the `<Calendars>` element of
+ * Microsoft Project XML (MSPDI). Weekday working times, exceptions
+ * and work weeks map to the week pattern, exceptions and work weeks
+ * of a calendar, base calendars to base calendars. Whatever has no
+ * counterpart on the other side is listed in `unsupported` instead
+ * of being dropped silently.
+ */
+
+let NAMESPACE = "http://schemas.microsoft.com/project";
+
+let ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * MS Project cannot hold dates outside of this range, so open
+ * bounds of recurring exceptions are written as its limits.
+ */
+let FIRST_DATE = Date.UTC(1984, 0, 1);
+let LAST_DATE = Date.UTC(2049, 11, 31);
+
+let EXCEPTION_TYPES = {
+    DAILY: 1,
+    YEARLY_BY_DATE: 2,
+    YEARLY_BY_POSITION: 3,
+    MONTHLY_BY_DATE: 4,
+    MONTHLY_BY_POSITION: 5,
+    WEEKLY: 6,
+    BY_DAY_COUNT: 7,
+    BY_WEEKDAY_COUNT: 8,
+    NONE: 9
+};
+
+/**
+ * MonthItem values from Sunday on; 0 to 2 stand for any
+ * day, weekday and weekend day.
+ */
+let FIRST_WEEKDAY_ITEM = 3;
+
+let decodeEntities = function (text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        if (entity[0] == "#") {
+            return String.fromCodePoint(entity[1].toLowerCase() == "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1)));
+        }
+        return { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[entity.toLowerCase()];
+    });
+};
+
+let encodeEntities = function (text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+};
+
+/**
+ * Reads XML into a tree of `{ name, children, text }` elements,
+ * without attributes and namespace prefixes.
+ * @param {String} text
+ * @returns {object}
+ */
+let parseXML = function (text) {
+    let root = { name: "#document", children: [], text: "" };
+    let stack = [root];
+    let pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s>\/!?]+)((?:\s+[^\s=>\/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let localName = name => name.slice(name.indexOf(":") + 1);
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (match.index != lastIndex) throw new Error("Malformed XML");
+        lastIndex = pattern.lastIndex;
+        let top = stack[stack.length - 1];
+        if (match[1] !== undefined) top.text += match[1];
+        else if (match[2]) {
+            if (stack.length == 1 || top.name != localName(match[2])) throw new Error("Malformed XML");
+            stack.pop();
+        } else if (match[3]) {
+            let element = { name: localName(match[3]), children: [], text: "" };
+            top.children.push(element);
+            if (!match[5]) stack.push(element);
+        } else if (match[6]) top.text += decodeEntities(match[6]);
+    }
+    if (lastIndex != text.length || stack.length != 1) throw new Error("Malformed XML");
+    return root;
+};
+
+let findChild = function (element, name) {
+    return element ? element.children.find(child => child.name == name) : undefined;
+};
+
+let findChildren = function (element, name) {
+    return element ? element.children.filter(child => child.name == name) : [];
+};
+
+let getText = function (element, name) {
+    let child = findChild(element, name);
+    return child ? child.text.trim() : undefined;
+};
+
+let getNumber = function (element, name) {
+    let text = getText(element, name);
+    return text === undefined || text === "" ? undefined : Number(text);
+};
+
+/**
+ * Reads a date such as "2019-05-01T00:00:00" as a wall-clock day.
+ * @param {String} text
+ * @returns {number} `NaN` when the date is invalid
+ */
+let parseDay = function (text) {
+    let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text || "");
+    if (!match) return NaN;
+    return Date.UTC(+match[1], +match[2] - 1, +match[3]);
+};
+
+let formatDay = function (day, isEnd) {
+    return new Date(day).toISOString().slice(0, 10) + (isEnd ? "T23:59:00" : "T00:00:00");
+};
+
+/**
+ * Writes elements as indented XML. Elements are `[name, content]`
+ * pairs whose content is a text or a list of elements; elements
+ * without content are left out.
+ * @param {Array} element
+ * @param {String} indent
+ * @returns {String}
+ */
+let formatXML = function (element, indent) {
+    let name = element[0];
+    let content = element[1];
+    if (Array.isArray(content)) {
+        let children = content.filter(child => child && child[1] !== undefined && child[1] !== null);
+        return indent + "<" + name + ">\n"
+            + children.map(child => formatXML(child, indent + "  ")).join("")
+            + indent + "</" + name.split(" ")[0] + ">\n";
+    }
+    return indent + "<" + name + ">" + encodeEntities(content) + "</" + name + ">\n";
+};
+
+/**
+ * Reads `<WorkingTimes>` into shifts of the calendar. A working
+ * time up to midnight ends at 0, a whole day is split at noon.
+ * @param {object} element - Parent of the `<WorkingTimes>`
+ * @param {Function} report - Called with what cannot be read exactly
+ * @returns {object|boolean} `false` when there is no working time
+ */
+let readWorkingTimes = function (element, report) {
+    let shiftHours = [];
+    let shiftMinutes = [];
+    let readTime = text => {
+        let match = /^(\d{2}):(\d{2})(?::(\d{2}))?/.exec(text || "");
+        if (!match) return NaN;
+        if (match[3] && +match[3]) report("Seconds of working time " + text + " are dropped");
+        return +match[1] * 60 + +match[2];
+    };
+    let times = findChildren(findChild(element, "WorkingTimes"), "WorkingTime").map(workingTime => {
+        let from = readTime(getText(workingTime, "FromTime"));
+        let to = readTime(getText(workingTime, "ToTime"));
+        if (to == 0) to = 24 * 60;
+        return [from, to];
+    }).filter(time => {
+        if (Number.isNaN(time[0]) || Number.isNaN(time[1]) || time[0] >= time[1]) {
+            report("Working time " + time.join("-") + " is invalid and is skipped");
+            return false;
+        }
+        return true;
+    }).sort((a, b) => a[0] - b[0]);
+    times.forEach(time => {
+        if (time[0] == 0 && time[1] == 24 * 60) time = [0, 12 * 60, 12 * 60, 0];
+        time.forEach(minutes => {
+            shiftHours.push(Math.floor(minutes / 60) % 24);
+            shiftMinutes.push(minutes % 60);
+        });
+    });
+    return shiftHours.length ? { shiftHours: shiftHours, shiftMinutes: shiftMinutes } : false;
+};
+
+/**
+ * Reads the calendar selected by `options.calendar`, by name or
+ * UID, or else the project calendar, into a CalendarBuilder. Base
+ * calendars are read and built first.
+ * @param {Function} CalendarBuilder
+ * @param {String} xml
+ * @param {object} options
+ * @param {String|number} options.calendar
+ * @param {String} options.timeZone - IANA time-zone of the dates
+ * @param {number} options.timeZoneOffset - Used without `timeZone`
+ * @returns {object} `{ builder, unsupported }`
+ */
+let read = function (CalendarBuilder, xml, options) {
+    options = options || {};
+    let document;
+    try {
+        document = parseXML(String(xml));
+    } catch (err) {
+        throw new Error("MS Project XML is invalid");
+    }
+    let project = findChild(document, "Project");
+    let elements = findChildren(findChild(project, "Calendars"), "Calendar");
+    if (!elements.length) throw new Error("MS Project XML has no calendars");
+
+    let findCalendar = key => elements.find(element => {
+        return getText(element, "UID") == String(key) || getText(element, "Name") == String(key);
+    });
+    let selected = elements[0];
+    if (options.calendar !== undefined && options.calendar !== null) {
+        selected = findCalendar(options.calendar);
+        if (!selected) throw new Error("Calendar " + options.calendar + " is not in the MS Project XML");
+    } else if (getText(project, "CalendarUID") && findCalendar(getText(project, "CalendarUID"))) {
+        selected = findCalendar(getText(project, "CalendarUID"));
+    }
+
+    let unsupported = [];
+    let readCalendar = (element, path) => {
+        let name = getText(element, "Name") || "Calendar " + getText(element, "UID");
+        let report = message => unsupported.push(name + ": " + message);
+        let baseUID = getText(element, "BaseCalendarUID");
+        let baseCalendar = null;
+        if (baseUID && baseUID != "-1") {
+            let baseElement = findCalendar(baseUID);
+            if (!baseElement || path.indexOf(baseElement) != -1) throw new Error("Base calendar " + baseUID + " of " + name + " is missing");
+            baseCalendar = readCalendar(baseElement, path.concat(element)).build();
+        }
+        let builder = new CalendarBuilder(baseCalendar);
+        if (!baseCalendar) {
+            if (options.timeZone) builder.setTimeZone(options.timeZone);
+            else if (options.timeZoneOffset !== undefined && options.timeZoneOffset !== null) builder.setTimeZoneOffset(options.timeZoneOffset);
+            let minutesPerDay = getNumber(project, "MinutesPerDay");
+            let minutesPerWeek = getNumber(project, "MinutesPerWeek");
+            let daysPerMonth = getNumber(project, "DaysPerMonth");
+            if (minutesPerDay || minutesPerWeek || daysPerMonth) {
+                let hoursPerDay = (minutesPerDay || 480) / 60;
+                let timePeriod = {
+                    hoursPerDay: hoursPerDay,
+                    hoursPerWeek: (minutesPerWeek || 2400) / 60,
+                    hoursPerMonth: (daysPerMonth || 20) * hoursPerDay
+                };
+                timePeriod.hoursPerYear = timePeriod.hoursPerMonth * 12;
+                Object.keys(timePeriod).forEach(key => {
+                    if (!Number.isInteger(timePeriod[key])) report("Time period " + key + " of " + timePeriod[key] + " is rounded down");
+                });
+                builder.setTimePeriod(timePeriod);
+            }
+        }
+        let calendar = builder.build();
+        let toDateString = day => calendar.__postProcessDates(new Date(day + ONE_DAY / 2)).toISOString();
+
+        findChildren(findChild(element, "WeekDays"), "WeekDay").forEach(weekDay => {
+            let dayType = getNumber(weekDay, "DayType");
+            let workTime = getText(weekDay, "DayWorking") == "1" ? readWorkingTimes(weekDay, report) : false;
+            if (dayType >= 1 && dayType <= 7) {
+                builder.setIndividualWorkTime(dayType - 1, workTime);
+                return;
+            }
+            // Exceptions of files written by MS Project 2003 and before
+            let timePeriod = findChild(weekDay, "TimePeriod");
+            let from = parseDay(getText(timePeriod, "FromDate"));
+            let to = parseDay(getText(timePeriod, "ToDate"));
+            if (dayType !== 0 || Number.isNaN(from) || Number.isNaN(to)) {
+                report("Week day of type " + dayType + " is skipped");
+                return;
+            }
+            builder.setExceptionRange(toDateString(from), toDateString(to), workTime);
+        });
+
+        findChildren(findChild(element, "Exceptions"), "Exception").forEach(exception => {
+            let exceptionName = getText(exception, "Name");
+            let details = exceptionName ? { name: exceptionName } : {};
+            let description = "Exception " + (exceptionName || "without name");
+            let timePeriod = findChild(exception, "TimePeriod");
+            let from = parseDay(getText(timePeriod, "FromDate"));
+            let to = parseDay(getText(timePeriod, "ToDate"));
+            if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+                report(description + " has invalid dates and is skipped");
+                return;
+            }
+            let workTime = getText(exception, "DayWorking") == "1" ? readWorkingTimes(exception, report) : false;
+            let type = getNumber(exception, "Type") || EXCEPTION_TYPES.DAILY;
+            let period = getNumber(exception, "Period") || 1;
+            let rule = { interval: period, start: toDateString(from), end: toDateString(to) };
+            let monthItem = getNumber(exception, "MonthItem");
+            let monthPosition = getNumber(exception, "MonthPosition");
+            let readPosition = () => {
+                if (!(monthItem >= FIRST_WEEKDAY_ITEM && monthItem <= FIRST_WEEKDAY_ITEM + 6)) {
+                    report(description + " recurs on a day, weekday or weekend day by position and is skipped");
+                    return false;
+                }
+                rule.day = monthItem - FIRST_WEEKDAY_ITEM;
+                rule.nth = monthPosition == 4 ? -1 : monthPosition + 1;
+                return true;
+            };
+            switch (type) {
+                case EXCEPTION_TYPES.DAILY:
+                case EXCEPTION_TYPES.BY_DAY_COUNT:
+                case EXCEPTION_TYPES.NONE:
+                    if (period == 1 || from == to) {
+                        if (from == to) builder.setException(toDateString(from), workTime, details);
+                        else builder.setExceptionRange(toDateString(from), toDateString(to), workTime, details);
+                        return;
+                    }
+                    for (let day = from; day <= to; day += period * ONE_DAY) builder.setException(toDateString(day), workTime, details);
+                    return;
+                case EXCEPTION_TYPES.WEEKLY:
+                    rule.frequency = "weekly";
+                    rule.day = [0, 1, 2, 3, 4, 5, 6].filter(day => getNumber(exception, "DaysOfWeek") & (1 << day));
+                    if (!rule.day.length) {
+                        report(description + " recurs weekly on no day and is skipped");
+                        return;
+                    }
+                    break;
+                case EXCEPTION_TYPES.MONTHLY_BY_DATE:
+                    rule.frequency = "monthly";
+                    rule.date = getNumber(exception, "MonthDay");
+                    break;
+                case EXCEPTION_TYPES.MONTHLY_BY_POSITION:
+                    rule.frequency = "monthly";
+                    if (!readPosition()) return;
+                    break;
+                case EXCEPTION_TYPES.YEARLY_BY_DATE:
+                    rule.frequency = "yearly";
+                    rule.month = getNumber(exception, "Month");
+                    rule.date = getNumber(exception, "MonthDay");
+                    break;
+                case EXCEPTION_TYPES.YEARLY_BY_POSITION:
+                    rule.frequency = "yearly";
+                    rule.month = getNumber(exception, "Month");
+                    if (!readPosition()) return;
+                    break;
+                default:
+                    report(description + " of type " + type + " is skipped");
+                    return;
+            }
+            builder.setRecurringException(rule, workTime, details);
+        });
+
+        findChildren(findChild(element, "WorkWeeks"), "WorkWeek").forEach((workWeek, i) => {
+            let timePeriod = findChild(workWeek, "TimePeriod");
+            let from = parseDay(getText(timePeriod, "FromDate"));
+            let to = parseDay(getText(timePeriod, "ToDate"));
+            let weekName = getText(workWeek, "Name") || "Work week " + (i + 1);
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                report("Work week " + weekName + " has invalid dates and is skipped");
+                return;
+            }
+            let days = {};
+            findChildren(findChild(workWeek, "WeekDays"), "WeekDay").forEach(weekDay => {
+                let dayType = getNumber(weekDay, "DayType");
+                if (!(dayType >= 1 && dayType <= 7)) return;
+                days[dayType - 1] = getText(weekDay, "DayWorking") == "1" ? readWorkingTimes(weekDay, report) : false;
+            });
+            builder.setWorkWeek(weekName, toDateString(from), to >= LAST_DATE ? null : toDateString(to), days);
+        });
+        return builder;
+    };
+
+    return { builder: readCalendar(selected, []), unsupported: unsupported };
+};
+
+/**
+ * Working times of a day as MS Project writes them: shifts
+ * cut at midnight, the part after it going to the next day.
+ * @param {object} pattern - `{ active, shiftHours, shiftMinutes }`
+ * @returns {number[][]} `[from, to]` minutes of the day and of the next
+ */
+let splitShifts = function (pattern) {
+    let today = [];
+    let tomorrow = [];
+    if (!pattern || !pattern.active || !pattern.shiftHours) return { today: today, tomorrow: tomorrow };
+    for (let i = 0; i < pattern.shiftHours.length / 2; i++) {
+        let from = pattern.shiftHours[2 * i] * 60 + (pattern.shiftMinutes[2 * i] || 0);
+        let to = pattern.shiftHours[2 * i + 1] * 60 + (pattern.shiftMinutes[2 * i + 1] || 0);
+        if (to > from) today.push([from, to]);
+        else {
+            today.push([from, 24 * 60]);
+            if (to > 0) tomorrow.push([0, to]);
+        }
+    }
+    return { today: today, tomorrow: tomorrow };
+};
+
+let formatWorkingTimes = function (times) {
+    let merged = [];
+    times.slice().sort((a, b) => a[0] - b[0]).forEach(time => {
+        let last = merged[merged.length - 1];
+        if (last && time[0] <= last[1]) last[1] = Math.max(last[1], time[1]);
+        else merged.push([time[0], time[1]]);
+    });
+    let formatTime = minutes => {
+        minutes = minutes % (24 * 60);
+        return ("0" + Math.floor(minutes / 60)).slice(-2) + ":" + ("0" + minutes % 60).slice(-2) + ":00";
+    };
+    if (!merged.length) return [];
+    return [["DayWorking", "1"], ["WorkingTimes", merged.map(time => {
+        return ["WorkingTime", [["FromTime", formatTime(time[0])], ["ToTime", formatTime(time[1])]]];
+    })]];
+};
+
+let formatWeekDay = function (day, times) {
+    let workingTimes = formatWorkingTimes(times);
+    return ["WeekDay", [["DayType", String(day + 1)]].concat(workingTimes.length ? workingTimes : [["DayWorking", "0"]])];
+};
+
+/**
+ * Writes a calendar, and the base calendars it derives from,
+ * as MS Project XML.
+ * @param {Calendar} calendar
+ * @param {object} options
+ * @param {String} options.name - Name of the calendar, defaults to "Calendar"
+ * @returns {object} `{ xml, unsupported }`
+ */
+let write = function (calendar, options) {
+    options = options || {};
+    if (calendar.config.combination) throw new Error("Combined calendars cannot be written as MS Project calendars");
+    let unsupported = [];
+    let chain = [];
+    for (let current = calendar; current; current = current.getBaseCalendar()) {
+        if (current.config.combination) throw new Error("Combined calendars cannot be written as MS Project calendars");
+        chain.unshift(current);
+    }
+    if (chain.length > 2) unsupported.push("MS Project derives calendars from base calendars only one level deep");
+    if (chain.some(current => current.isTimeZoneSet() || current.isTimeZoneOffsetSet())) {
+        let timeZone = calendar.getTimeZone() || "offset of " + calendar.getTimeZoneOffset() + " minutes";
+        unsupported.push("Time-zone " + timeZone + " is not written; times are wall-clock times of the calendar");
+    }
+    let timePeriod = calendar.getTimePeriod();
+    if (timePeriod.hoursPerYear != timePeriod.hoursPerMonth * 12) unsupported.push("Hours per year are not written");
+    if (chain.some(current => current.isDurationUnitSet())) unsupported.push("Duration unit is not written");
+
+    let getPattern = (current, day) => {
+        while (!current.__isDaySetLocally(day)) current = current.getBaseCalendar();
+        return current.config.activeDays[day];
+    };
+    let calendarElements = chain.map((current, index) => {
+        let name = index == chain.length - 1 ? options.name || "Calendar" : "Base calendar " + (index + 1);
+        let report = message => unsupported.push(name + ": " + message);
+        let config = current.config;
+        let workTimes = Object.keys(config.activeDays).map(day => config.activeDays[day])
+            .concat(config.exceptions, config.exceptionRanges, config.recurringExceptions);
+        config.workWeeks.forEach(workWeek => Object.keys(workWeek.days).forEach(day => workTimes.push(workWeek.days[day])));
+        if (workTimes.some(workTime => workTime.availability)) report("Availability of shifts is not written; shifts are fully available");
+        if (workTimes.some(workTime => workTime.shiftNames)) report("Shift names are not written");
+
+        let getWorkingTimes = (owner, day) => {
+            return splitShifts(getPattern(owner, day)).today.concat(splitShifts(getPattern(owner, (day + 6) % 7)).tomorrow);
+        };
+        let weekDays = [];
+        for (let day = 0; day < 7; day++) {
+            let times = getWorkingTimes(current, day);
+            // Derived calendars list the days that differ from their base only
+            if (index > 0 && !current.__isDaySetLocally(day)
+                && JSON.stringify(formatWeekDay(day, times)) == JSON.stringify(formatWeekDay(day, getWorkingTimes(chain[index - 1], day)))) continue;
+            weekDays.push(formatWeekDay(day, times));
+        }
+
+        let exceptions = [];
+        let pushException = (description, from, to, workTime, recurrence) => {
+            let shifts = splitShifts(workTime ? Object.assign({ active: true }, workTime) : null);
+            if (shifts.tomorrow.length) report(description + " has an overnight shift, cut at midnight");
+            let workingTimes = formatWorkingTimes(shifts.today);
+            exceptions.push(["Exception", [
+                ["EnteredByOccurrences", "0"],
+                ["TimePeriod", [["FromDate", formatDay(from)], ["ToDate", formatDay(to, true)]]],
+                ["Occurrences", String(recurrence ? recurrence.occurrences : Math.round((to - from) / ONE_DAY) + 1)],
+                ["Name", description],
+                ["Type", String(recurrence ? recurrence.type : EXCEPTION_TYPES.DAILY)],
+                ["Period", recurrence ? String(recurrence.interval) : "1"],
+                ["DaysOfWeek", recurrence ? recurrence.daysOfWeek : undefined],
+                ["MonthItem", recurrence ? recurrence.monthItem : undefined],
+                ["MonthPosition", recurrence ? recurrence.monthPosition : undefined],
+                ["Month", recurrence ? recurrence.month : undefined],
+                ["MonthDay", recurrence ? recurrence.monthDay : undefined]
+            ].concat(workingTimes.length ? workingTimes : [["DayWorking", "0"]])]);
+        };
+        current.getExceptions(true).forEach((range, i) => {
+            pushException(range.name || "Exception " + (i + 1), +range.start, +range.end, range.shiftHours ? range : null);
+        });
+        config.recurringExceptions.forEach((recurringException, i) => {
+            let recurrence = recurringException.recurrence;
+            let description = recurringException.name || "Recurring exception " + (i + 1);
+            let position = () => {
+                if (recurrence.nth < -1 || recurrence.nth > 4) return false;
+                written.monthItem = String(recurrence.day + FIRST_WEEKDAY_ITEM);
+                written.monthPosition = String(recurrence.nth == -1 ? 4 : recurrence.nth - 1);
+                return true;
+            };
+            let written = { interval: recurrence.interval };
+            let isWritten = true;
+            if (recurrence.easterOffset !== undefined || recurrence.businessDay !== undefined) isWritten = false;
+            else if (recurrence.frequency == "weekly") {
+                written.type = EXCEPTION_TYPES.WEEKLY;
+                written.daysOfWeek = String(recurrence.day.reduce((mask, day) => mask | (1 << day), 0));
+            } else if (recurrence.date !== undefined) {
+                written.type = recurrence.frequency == "yearly" ? EXCEPTION_TYPES.YEARLY_BY_DATE : EXCEPTION_TYPES.MONTHLY_BY_DATE;
+                written.monthDay = String(recurrence.date);
+                isWritten = recurrence.date > 0;
+            } else {
+                written.type = recurrence.frequency == "yearly" ? EXCEPTION_TYPES.YEARLY_BY_POSITION : EXCEPTION_TYPES.MONTHLY_BY_POSITION;
+                isWritten = position();
+            }
+            if (recurrence.frequency == "yearly") written.month = String(recurrence.month);
+            if (!isWritten) {
+                report(description + " recurs by a rule MS Project has no counterpart for and is skipped");
+                return;
+            }
+            if (recurrence.observed) report(description + " is written without moving it off week-offs");
+            let from = recurrence.start ? +recurrence.start : FIRST_DATE;
+            let to = recurrence.end ? +recurrence.end : LAST_DATE;
+            written.occurrences = 0;
+            for (let day = from; day <= to; day += ONE_DAY) {
+                if (current.__isRecurrence(recurrence, new Date(day))) written.occurrences++;
+            }
+            pushException(description, from, to, recurringException.shiftHours ? recurringException : null, written);
+        });
+
+        let workWeeks = config.workWeeks.map(workWeek => {
+            let days = Object.keys(workWeek.days).map(day => {
+                let shifts = splitShifts(workWeek.days[day]);
+                if (shifts.tomorrow.length) report("Work week " + workWeek.name + " has an overnight shift, cut at midnight");
+                return formatWeekDay(+day, shifts.today);
+            });
+            return ["WorkWeek", [
+                ["TimePeriod", [["FromDate", formatDay(+workWeek.start)], ["ToDate", formatDay(workWeek.end ? +workWeek.end : LAST_DATE, true)]]],
+                ["Name", workWeek.name],
+                ["WeekDays", days]
+            ]];
+        });
+
+        return ["Calendar", [
+            ["UID", String(index + 1)],
+            ["Name", name],
+            ["IsBaseCalendar", index == chain.length - 1 && index > 0 ? "0" : "1"],
+            ["BaseCalendarUID", index ? String(index) : "-1"],
+            ["WeekDays", weekDays],
+            exceptions.length ? ["Exceptions", exceptions] : null,
+            workWeeks.length ? ["WorkWeeks", workWeeks] : null
+        ]];
+    });
+
+    let xml = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" + formatXML(["Project xmlns=\"" + NAMESPACE + "\"", [
+        ["MinutesPerDay", String(Math.round(timePeriod.hoursPerDay * 60))],
+        ["MinutesPerWeek", String(Math.round(timePeriod.hoursPerWeek * 60))],
+        ["DaysPerMonth", String(Math.round(timePeriod.hoursPerMonth / timePeriod.hoursPerDay))],
+        ["CalendarUID", String(chain.length)],
+        ["Calendars", calendarElements]
+    ]], "");
+    return { xml: xml, unsupported: unsupported };
+};
+
+module.exports = {
+    read: read,
+    write: write
+};
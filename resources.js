@@ -0,0 +1,198 @@
+/**
+ * Resource allocation on top of calendars. Resources work on
+ * their own calendars, assignments book them for a task from
+ * a start to a finish at some units. Allocation compares the
+ * booked units with what the resources can give in every
+ * working interval and reports the over-allocated spans.
+ */
+
+/**
+ * Booked units may add up to slightly more than the
+ * availability through rounding of decimal units.
+ */
+let TOLERANCE = 1e-9;
+
+/**
+ * Resources and their assignments. Resources without a
+ * calendar use the calendar of the pool.
+ * @param {object} options
+ * @param {Calendar} options.calendar - Default calendar of the resources
+ */
+let ResourcePool = function (options) {
+    options = options || {};
+    this.calendar = options.calendar || null;
+    this.resources = [];
+    this.assignments = [];
+};
+
+ResourcePool.prototype = {
+
+    /**
+     * Adds a resource. `maxUnits` is what the resource can give
+     * at full availability, e.g. 1 for a person or 3 for a team
+     * of three; availability below 1 on the shifts of its calendar
+     * lowers it accordingly.
+     * @param {object} resource
+     * @param {String} resource.id
+     * @param {Calendar} resource.calendar
+     * @param {number} resource.maxUnits - Defaults to 1
+     * @returns {ResourcePool}
+     */
+    addResource: function (resource) {
+        if (!resource || resource.id === undefined || resource.id === null) throw new Error("Resource id is required");
+        if (this.__getResource(resource.id)) throw new Error("Resource " + resource.id + " already exists");
+        let calendar = resource.calendar || this.calendar;
+        if (!calendar) throw new Error("Resource " + resource.id + " has no calendar");
+        let maxUnits = resource.maxUnits === undefined ? 1 : resource.maxUnits;
+        if (typeof maxUnits != "number" || !(maxUnits > 0)) {
+            throw new Error("Maximum units of resource " + resource.id + " are invalid");
+        }
+        this.resources.push({
+            id: resource.id,
+            calendar: calendar,
+            maxUnits: maxUnits
+        });
+        return this;
+    },
+
+    /**
+     * Books a resource for a task from `start` to `finish`, e.g.
+     * the early dates of a scheduled task. Units of 0.5 take half
+     * of the resource.
+     * @param {object} assignment
+     * @param {String} assignment.resource - Resource id
+     * @param {String} assignment.task - Task id
+     * @param {Date} assignment.start
+     * @param {Date} assignment.finish
+     * @param {number} assignment.units - Defaults to 1
+     * @returns {ResourcePool}
+     */
+    addAssignment: function (assignment) {
+        if (!assignment) throw new Error("Assignment is required");
+        if (!this.__getResource(assignment.resource)) throw new Error("Resource " + assignment.resource + " does not exist");
+        if (assignment.task === undefined || assignment.task === null) throw new Error("Task of the assignment is required");
+        let start = new Date(assignment.start);
+        let finish = new Date(assignment.finish);
+        if (Number.isNaN(start.valueOf()) || Number.isNaN(finish.valueOf()) || +finish < +start) {
+            throw new Error("Dates of the assignment of task " + assignment.task + " are invalid");
+        }
+        let units = assignment.units === undefined ? 1 : assignment.units;
+        if (typeof units != "number" || !(units > 0)) {
+            throw new Error("Units of the assignment of task " + assignment.task + " are invalid");
+        }
+        this.assignments.push({
+            resource: assignment.resource,
+            task: assignment.task,
+            start: start,
+            finish: finish,
+            units: units
+        });
+        return this;
+    },
+
+    __getResource: function (id) {
+        return this.resources.find(resource => resource.id === id);
+    },
+
+    /**
+     * Splits the working intervals of a resource between `start`
+     * and `finish` where assignments begin or end, so that the
+     * booked units stay the same within each.
+     * @param {object} resource
+     * @param {Date} start
+     * @param {Date} finish
+     * @param {String} unit
+     * @returns {object[]}
+     */
+    __getIntervals: function (resource, start, finish, unit) {
+        let assignments = this.assignments.filter(assignment => assignment.resource === resource.id);
+        let intervals = [];
+        for (let interval of resource.calendar.getAvailabilityIntervals(start, finish)) {
+            let boundaries = [+interval.start, +interval.end];
+            assignments.forEach(assignment => {
+                [+assignment.start, +assignment.finish].forEach(time => {
+                    if (time > +interval.start && time < +interval.end) boundaries.push(time);
+                });
+            });
+            boundaries = boundaries.sort((a, b) => a - b).filter((time, i) => i == 0 || time != boundaries[i - 1]);
+            for (let i = 0; i < boundaries.length - 1; i++) {
+                let from = new Date(boundaries[i]);
+                let to = new Date(boundaries[i + 1]);
+                let booked = assignments.filter(assignment => +assignment.start <= +from && +to <= +assignment.finish);
+                intervals.push({
+                    start: from,
+                    end: to,
+                    workingTime: resource.calendar.calculateWorkingDuration(from, to, unit),
+                    availability: resource.maxUnits * interval.availability,
+                    load: booked.reduce((load, assignment) => load + assignment.units, 0),
+                    tasks: booked.map(assignment => assignment.task)
+                });
+            }
+        }
+        return intervals;
+    },
+
+    /**
+     * Compares the booked units of every resource with its
+     * availability between `startDate` and `endDate`. Per
+     * resource id, `intervals` lists the working intervals of
+     * its calendar, split where assignments begin or end, with
+     * their `workingTime`, `availability`, booked `load` and
+     * `tasks`. `overAllocations` lists the spans where the load
+     * exceeds the availability, joined across non-working time,
+     * with their `workingTime`, `peakLoad` and `excess` work,
+     * the working time booked beyond the availability. Working
+     * times are in `unit`, defaulting to the duration unit of
+     * the calendar of the resource.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @param {String} unit
+     * @returns {object}
+     */
+    getAllocation: function (startDate, endDate, unit) {
+        let start = new Date(startDate);
+        let finish = new Date(endDate);
+        if (Number.isNaN(start.valueOf()) || Number.isNaN(finish.valueOf()) || +finish < +start) {
+            throw new Error("Allocation range is invalid");
+        }
+        let allocation = {};
+        this.resources.forEach(resource => {
+            let intervals = this.__getIntervals(resource, start, finish, unit);
+            let overAllocations = [];
+            let isOverAllocated = false;
+            intervals.forEach(interval => {
+                let wasOverAllocated = isOverAllocated;
+                isOverAllocated = interval.load > interval.availability + TOLERANCE;
+                if (!isOverAllocated) return;
+                let excess = (interval.load - interval.availability) * interval.workingTime;
+                let span = overAllocations[overAllocations.length - 1];
+                if (wasOverAllocated) {
+                    span.end = interval.end;
+                    span.workingTime += interval.workingTime;
+                    span.peakLoad = Math.max(span.peakLoad, interval.load);
+                    span.excess += excess;
+                    interval.tasks.forEach(task => {
+                        if (span.tasks.indexOf(task) == -1) span.tasks.push(task);
+                    });
+                    return;
+                }
+                overAllocations.push({
+                    start: interval.start,
+                    end: interval.end,
+                    workingTime: interval.workingTime,
+                    peakLoad: interval.load,
+                    excess: excess,
+                    tasks: interval.tasks.slice()
+                });
+            });
+            allocation[resource.id] = {
+                id: resource.id,
+                intervals: intervals,
+                overAllocations: overAllocations
+            };
+        });
+        return allocation;
+    }
+};
+
+module.exports = ResourcePool;
@@ -0,0 +1,369 @@
+/**
+ * Task scheduling on top of calendars. Tasks carry a
+ * working duration and optional constraint, dependencies
+ * link them with working-time lags. Scheduling runs a
+ * forward and a backward pass and reports early and late
+ * dates, floats and the critical paths.
+ */
+
+let DEPENDENCY_TYPES = ["FS", "SS", "FF", "SF"];
+
+let CONSTRAINT_TYPES = ["ASAP", "SNET", "SNLT", "FNET", "FNLT", "MSO", "MFO"];
+
+/**
+ * Floats of decimal units may come out slightly above or
+ * below zero through rounding.
+ */
+let TOLERANCE = 1e-9;
+
+/**
+ * Working duration from `fromDate` to `toDate`, negative
+ * when `toDate` is earlier.
+ * @param {Calendar} calendar
+ * @param {Date} fromDate
+ * @param {Date} toDate
+ * @returns {number}
+ */
+let getSignedDuration = function (calendar, fromDate, toDate) {
+    let duration = calendar.calculateWorkingDuration(fromDate, toDate);
+    return duration && +toDate < +fromDate ? -duration : duration;
+};
+
+/**
+ * Whether `date` lies in working time, shift boundaries included.
+ * @param {Calendar} calendar
+ * @param {Date} date
+ * @returns {boolean}
+ */
+let isWorkTime = function (calendar, date) {
+    return +calendar.getClosestFutureWorkDate(date) == +date || +calendar.getClosestPastWorkDate(date) == +date;
+};
+
+let later = function (dateA, dateB) {
+    if (!dateA) return dateB;
+    return +dateB > +dateA ? dateB : dateA;
+};
+
+let earlier = function (dateA, dateB) {
+    if (!dateA) return dateB;
+    return +dateB < +dateA ? dateB : dateA;
+};
+
+/**
+ * Schedules tasks linked by dependencies. Durations and lags
+ * are working time in the duration unit of the calendar of the
+ * task, lags in that of the successor. Tasks without a calendar
+ * use the calendar of the scheduler.
+ * @param {object} options
+ * @param {Calendar} options.calendar - Default calendar of the tasks
+ * @param {Date} options.start - Project start
+ * @param {Date} options.finish - Project finish for the backward pass,
+ * defaults to the latest early finish
+ */
+let Scheduler = function (options) {
+    options = options || {};
+    if (!options.calendar || Number.isNaN(new Date(options.start).valueOf())) {
+        throw new Error("Scheduler requires a calendar and a start date");
+    }
+    this.calendar = options.calendar;
+    this.start = new Date(options.start);
+    this.finish = options.finish ? new Date(options.finish) : null;
+    this.tasks = [];
+    this.dependencies = [];
+};
+
+Scheduler.prototype = {
+
+    /**
+     * Adds a task. Constraint types are ASAP (default), SNET
+     * (start no earlier than), SNLT (start no later than), FNET
+     * (finish no earlier than), FNLT (finish no later than), MSO
+     * (must start on) and MFO (must finish on).
+     * @param {object} task
+     * @param {String} task.id
+     * @param {number|String} task.duration - 0 for a milestone, or a
+     * duration string such as "2d 4h"
+     * @param {Calendar} task.calendar
+     * @param {object} task.constraint
+     * @param {String} task.constraint.type
+     * @param {Date} task.constraint.date
+     * @returns {Scheduler}
+     */
+    addTask: function (task) {
+        if (!task || task.id === undefined || task.id === null) throw new Error("Task id is required");
+        if (this.__getTask(task.id)) throw new Error("Task " + task.id + " already exists");
+        let calendar = task.calendar || this.calendar;
+        let duration = task.duration;
+        if (typeof duration == "string") duration = calendar.parseDuration(duration);
+        if (typeof duration != "number" || Number.isNaN(duration) || duration < 0) {
+            throw new Error("Duration of task " + task.id + " is invalid");
+        }
+        let constraint = task.constraint || { type: "ASAP" };
+        if (CONSTRAINT_TYPES.indexOf(constraint.type) == -1) {
+            throw new Error("Constraint of task " + task.id + " is invalid");
+        }
+        if (constraint.type != "ASAP" && Number.isNaN(new Date(constraint.date).valueOf())) {
+            throw new Error("Constraint date of task " + task.id + " is invalid");
+        }
+        this.tasks.push({
+            id: task.id,
+            duration: duration,
+            calendar: calendar,
+            constraint: {
+                type: constraint.type,
+                date: constraint.type == "ASAP" ? null : new Date(constraint.date)
+            }
+        });
+        return this;
+    },
+
+    /**
+     * Links two tasks. Types are FS (finish-to-start, default),
+     * SS (start-to-start), FF (finish-to-finish) and SF
+     * (start-to-finish). Lag may be negative.
+     * @param {object} dependency
+     * @param {String} dependency.predecessor - Task id
+     * @param {String} dependency.successor - Task id
+     * @param {String} dependency.type
+     * @param {number|String} dependency.lag
+     * @returns {Scheduler}
+     */
+    addDependency: function (dependency) {
+        if (!dependency) throw new Error("Dependency is required");
+        let type = dependency.type || "FS";
+        let lag = dependency.lag || 0;
+        if (DEPENDENCY_TYPES.indexOf(type) == -1) throw new Error("Dependency type " + type + " is invalid");
+        [dependency.predecessor, dependency.successor].forEach(id => {
+            if (!this.__getTask(id)) throw new Error("Task " + id + " does not exist");
+        });
+        if (typeof lag == "string") lag = this.__getTask(dependency.successor).calendar.parseDuration(lag);
+        if (typeof lag != "number" || Number.isNaN(lag)) throw new Error("Dependency lag is invalid");
+        this.dependencies.push({
+            predecessor: dependency.predecessor,
+            successor: dependency.successor,
+            type: type,
+            lag: lag
+        });
+        return this;
+    },
+
+    __getTask: function (id) {
+        return this.tasks.find(task => task.id === id);
+    },
+
+    /**
+     * Orders tasks so that predecessors come first.
+     * Throws a `DependencyCycleError` listing the tasks
+     * of a cycle when there is one.
+     * @returns {object[]}
+     */
+    __sortTasks: function () {
+        let predecessorCount = new Map();
+        this.tasks.forEach(task => predecessorCount.set(task.id, 0));
+        this.dependencies.forEach(dependency => {
+            predecessorCount.set(dependency.successor, predecessorCount.get(dependency.successor) + 1);
+        });
+        let queue = this.tasks.filter(task => predecessorCount.get(task.id) == 0);
+        let sorted = [];
+        while (queue.length) {
+            let task = queue.shift();
+            sorted.push(task);
+            this.dependencies.forEach(dependency => {
+                if (dependency.predecessor !== task.id) return;
+                predecessorCount.set(dependency.successor, predecessorCount.get(dependency.successor) - 1);
+                if (predecessorCount.get(dependency.successor) == 0) queue.push(this.__getTask(dependency.successor));
+            });
+        }
+        if (sorted.length == this.tasks.length) return sorted;
+
+        let cycle = this.__findCycle(this.tasks.filter(task => predecessorCount.get(task.id) > 0));
+        let cycleError = new Error("Dependency cycle between tasks " + cycle.concat(cycle[0]).join(" -> "));
+        cycleError.name = "DependencyCycleError";
+        cycleError.tasks = cycle;
+        throw cycleError;
+    },
+
+    /**
+     * Finds one cycle among tasks left over by the
+     * topological sort.
+     * @param {object[]} tasks
+     * @returns {String[]} Ids of the tasks in the cycle
+     */
+    __findCycle: function (tasks) {
+        let ids = tasks.map(task => task.id);
+        let path = [];
+        let visited = new Set();
+        let visit = id => {
+            let index = path.indexOf(id);
+            if (index != -1) return path.slice(index);
+            if (visited.has(id)) return null;
+            visited.add(id);
+            path.push(id);
+            let successors = this.dependencies.filter(dependency => {
+                return dependency.predecessor === id && ids.indexOf(dependency.successor) != -1;
+            });
+            for (let i = 0; i < successors.length; i++) {
+                let cycle = visit(successors[i].successor);
+                if (cycle) return cycle;
+            }
+            path.pop();
+            return null;
+        };
+        for (let i = 0; i < ids.length; i++) {
+            let cycle = visit(ids[i]);
+            if (cycle) return cycle;
+        }
+        return ids;
+    },
+
+    __getEarlyDates: function (task, earliestStart, earliestFinish) {
+        let calendar = task.calendar;
+        let constraint = task.constraint;
+        if (constraint.type == "MSO") earliestStart = constraint.date;
+        if (constraint.type == "SNET") earliestStart = later(earliestStart, constraint.date);
+        if (constraint.type == "FNET") earliestFinish = later(earliestFinish, constraint.date);
+        if (constraint.type == "MFO") {
+            earliestStart = null;
+            earliestFinish = constraint.date;
+        }
+        let start = earliestStart;
+        if (earliestFinish) start = later(start, calendar.calculateEndDate(earliestFinish, -task.duration));
+        // Milestones may sit at the end of a shift
+        if (task.duration > 0 || !isWorkTime(calendar, start)) start = calendar.getClosestFutureWorkDate(start);
+        let finish = calendar.calculateEndDate(start, task.duration);
+        return { start: start, finish: finish };
+    },
+
+    __getLateDates: function (task, latestStart, latestFinish) {
+        let calendar = task.calendar;
+        let constraint = task.constraint;
+        if (constraint.type == "MFO") latestFinish = constraint.date;
+        if (constraint.type == "FNLT") latestFinish = earlier(latestFinish, constraint.date);
+        if (constraint.type == "SNLT") latestStart = earlier(latestStart, constraint.date);
+        if (constraint.type == "MSO") {
+            latestFinish = null;
+            latestStart = constraint.date;
+        }
+        let finish = latestFinish;
+        if (latestStart) finish = earlier(finish, calendar.calculateEndDate(latestStart, task.duration));
+        if (task.duration > 0 || !isWorkTime(calendar, finish)) finish = calendar.getClosestPastWorkDate(finish);
+        let start = calendar.calculateEndDate(finish, -task.duration);
+        return { start: start, finish: finish };
+    },
+
+    /**
+     * Chains of critical tasks, each following the dependencies
+     * without float from a critical task that no such dependency
+     * drives. Tasks where chains branch or join are in every one
+     * of them.
+     * @param {object[]} sorted - Tasks in scheduling order
+     * @param {object} results - Results by task id
+     * @param {Map} linkFloats - Float of every dependency
+     * @returns {string[][]}
+     */
+    __getCriticalPaths: function (sorted, results, linkFloats) {
+        let isDriving = dependency => {
+            return results[dependency.predecessor].critical && results[dependency.successor].critical &&
+                linkFloats.get(dependency) <= TOLERANCE;
+        };
+        let paths = [];
+        let follow = path => {
+            let links = this.dependencies.filter(dependency => {
+                return dependency.predecessor === path[path.length - 1] && isDriving(dependency);
+            });
+            if (!links.length) paths.push(path);
+            links.forEach(dependency => follow(path.concat(dependency.successor)));
+        };
+        sorted.forEach(task => {
+            if (!results[task.id].critical) return;
+            if (this.dependencies.some(dependency => dependency.successor === task.id && isDriving(dependency))) return;
+            follow([task.id]);
+        });
+        return paths;
+    },
+
+    /**
+     * Runs the forward and backward passes.
+     * Early and late dates are Dates, floats are working time
+     * in the duration unit of the calendar of the task. Tasks
+     * with no total float are critical; the critical paths are
+     * the chains of them linked by dependencies without float,
+     * in scheduling order.
+     * @returns {object}
+     */
+    schedule: function () {
+        let sorted = this.__sortTasks();
+        let results = {};
+
+        // Forward pass
+        sorted.forEach(task => {
+            let earliestStart = this.start;
+            let earliestFinish = null;
+            this.dependencies.forEach(dependency => {
+                if (dependency.successor !== task.id) return;
+                let predecessor = results[dependency.predecessor];
+                let anchor = dependency.type[0] == "F" ? predecessor.earlyFinish : predecessor.earlyStart;
+                let date = task.calendar.calculateEndDate(anchor, dependency.lag);
+                if (dependency.type[1] == "S") earliestStart = later(earliestStart, date);
+                else earliestFinish = later(earliestFinish, date);
+            });
+            let dates = this.__getEarlyDates(task, earliestStart, earliestFinish);
+            results[task.id] = { id: task.id, earlyStart: dates.start, earlyFinish: dates.finish };
+        });
+
+        let projectFinish = this.finish;
+        if (!projectFinish) {
+            projectFinish = sorted.reduce((finish, task) => later(finish, results[task.id].earlyFinish), this.start);
+        }
+
+        // Backward pass
+        sorted.slice().reverse().forEach(task => {
+            let latestStart = null;
+            let latestFinish = null;
+            let successorLinks = this.dependencies.filter(dependency => dependency.predecessor === task.id);
+            if (!successorLinks.length) latestFinish = projectFinish;
+            successorLinks.forEach(dependency => {
+                let successor = results[dependency.successor];
+                let successorCalendar = this.__getTask(dependency.successor).calendar;
+                let anchor = dependency.type[1] == "S" ? successor.lateStart : successor.lateFinish;
+                let date = successorCalendar.calculateEndDate(anchor, -dependency.lag);
+                if (dependency.type[0] == "F") latestFinish = earlier(latestFinish, date);
+                else latestStart = earlier(latestStart, date);
+            });
+            let dates = this.__getLateDates(task, latestStart, latestFinish);
+            results[task.id].lateStart = dates.start;
+            results[task.id].lateFinish = dates.finish;
+        });
+
+        // Floats
+        let linkFloats = new Map();
+        sorted.forEach(task => {
+            let result = results[task.id];
+            result.totalFloat = getSignedDuration(task.calendar, result.earlyStart, result.lateStart);
+            let successorLinks = this.dependencies.filter(dependency => dependency.predecessor === task.id);
+            if (!successorLinks.length) {
+                result.freeFloat = getSignedDuration(task.calendar, result.earlyFinish, projectFinish);
+            } else {
+                result.freeFloat = Math.min.apply(null, successorLinks.map(dependency => {
+                    let successor = results[dependency.successor];
+                    let successorCalendar = this.__getTask(dependency.successor).calendar;
+                    let anchor = dependency.type[1] == "S" ? successor.earlyStart : successor.earlyFinish;
+                    let date = successorCalendar.calculateEndDate(anchor, -dependency.lag);
+                    let own = dependency.type[0] == "F" ? result.earlyFinish : result.earlyStart;
+                    linkFloats.set(dependency, getSignedDuration(task.calendar, own, date));
+                    return linkFloats.get(dependency);
+                }));
+            }
+            result.critical = result.totalFloat <= TOLERANCE;
+        });
+
+        return {
+            start: this.start,
+            finish: projectFinish,
+            tasks: results,
+            criticalPaths: this.__getCriticalPaths(sorted, results, linkFloats)
+        };
+    }
+};
+
+module.exports = Scheduler;
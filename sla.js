@@ -0,0 +1,253 @@
+/**
+ * Service level timers on top of calendars. A timer runs in
+ * business time of its calendar between start and stop events
+ * and does not count while paused, e.g. while a ticket waits
+ * on the customer. Its event log can be saved and replayed.
+ */
+
+let { createValidationError } = require("./errors");
+
+let EVENT_TYPES = ["start", "pause", "resume", "stop"];
+
+/**
+ * States in which each event may be recorded, and the
+ * state it leads to.
+ */
+let TRANSITIONS = {
+    start: { from: ["idle"], to: "running" },
+    pause: { from: ["running"], to: "paused" },
+    resume: { from: ["paused"], to: "running" },
+    stop: { from: ["running", "paused"], to: "stopped" }
+};
+
+/**
+ * Whether the calendar can measure in `unit`, a working
+ * or an elapsed unit.
+ * @param {Calendar} calendar
+ * @param {String} unit
+ * @returns {boolean}
+ */
+let isValidUnit = function (calendar, unit) {
+    return calendar.units.indexOf(unit) != -1 || calendar.__isElapsedUnit(unit);
+};
+
+let toDate = function (date) {
+    let __date = date === undefined ? new Date() : new Date(date);
+    if (Number.isNaN(__date.valueOf())) throw new Error("SLA event date is invalid");
+    return __date;
+};
+
+/**
+ * Timer measuring business time against a target.
+ * @param {object} options
+ * @param {Calendar} options.calendar
+ * @param {number|String} options.target - Business time allowed, in
+ * `unit`, or a duration string such as "4h"
+ * @param {String} options.unit - Working or elapsed unit, defaults to
+ * the duration unit of the calendar. Other units are reported like
+ * invalid input of the builder of the calendar.
+ */
+let SlaTimer = function (options) {
+    options = options || {};
+    if (!options.calendar) throw new Error("SLA timer requires a calendar");
+    this.calendar = options.calendar;
+    this.unit = options.unit || this.calendar.getDurationUnit();
+    if (!isValidUnit(this.calendar, this.unit)) {
+        let fallbackMessage = "Measuring in " + this.calendar.getDurationUnit();
+        this.calendar.__reportError("INVALID_UNIT", this.unit, "SLA unit " + this.unit + " is invalid", fallbackMessage);
+        this.unit = this.calendar.getDurationUnit();
+    }
+    let target = options.target;
+    if (typeof target == "string") target = this.calendar.parseDuration(target, this.unit);
+    if (typeof target != "number" || !(target > 0)) throw new Error("SLA target must be a positive business time");
+    this.target = target;
+    this.events = [];
+};
+
+/**
+ * Replays a timer from the output of `toJSON`.
+ * @param {object|String} json
+ * @param {Calendar} calendar - Calendar to measure on
+ * @returns {SlaTimer}
+ */
+SlaTimer.fromJSON = function (json, calendar) {
+    let document = json;
+    if (typeof json == "string") {
+        try {
+            document = JSON.parse(json);
+        } catch (error) {
+            throw createValidationError("INVALID_SLA_LOG", "SLA timer log is not valid JSON", json);
+        }
+    }
+    if (!document || !Array.isArray(document.events)) throw createValidationError("INVALID_SLA_LOG", "SLA timer log is invalid", json);
+    // The target is in the saved unit, so falling back to the one of the calendar is reported
+    if (calendar && (document.unit === undefined || document.unit === null)) {
+        let fallbackMessage = "Measuring in " + calendar.getDurationUnit();
+        calendar.__reportError("INVALID_UNIT", document.unit, "SLA timer log has no unit", fallbackMessage);
+    }
+    let timer = new SlaTimer({ calendar: calendar, target: document.target, unit: document.unit });
+    document.events.forEach(event => {
+        if (!event || EVENT_TYPES.indexOf(event.type) == -1) throw new Error("SLA event type " + (event && event.type) + " is invalid");
+        timer.__record(event.type, event.date);
+    });
+    return timer;
+};
+
+SlaTimer.prototype = {
+
+    /**
+     * Records an event, checking that it may follow the
+     * current state and does not go back in time.
+     * @param {String} type
+     * @param {Date} date - Defaults to now
+     * @returns {SlaTimer}
+     */
+    __record: function (type, date) {
+        let __date = toDate(date);
+        let state = this.getState();
+        if (TRANSITIONS[type].from.indexOf(state) == -1) {
+            throw new Error("SLA timer cannot " + type + " when " + state);
+        }
+        let last = this.events[this.events.length - 1];
+        if (last && +__date < +last.date) throw new Error("SLA events must be recorded in chronological order");
+        this.events.push({ type: type, date: __date });
+        return this;
+    },
+
+    /**
+     * Starts the timer.
+     * @param {Date} date - Defaults to now
+     * @returns {SlaTimer}
+     */
+    start: function (date) {
+        return this.__record("start", date);
+    },
+
+    /**
+     * Pauses the timer, e.g. while waiting on the customer.
+     * @param {Date} date - Defaults to now
+     * @returns {SlaTimer}
+     */
+    pause: function (date) {
+        return this.__record("pause", date);
+    },
+
+    /**
+     * Resumes a paused timer.
+     * @param {Date} date - Defaults to now
+     * @returns {SlaTimer}
+     */
+    resume: function (date) {
+        return this.__record("resume", date);
+    },
+
+    /**
+     * Stops the timer for good, e.g. when the ticket is answered.
+     * @param {Date} date - Defaults to now
+     * @returns {SlaTimer}
+     */
+    stop: function (date) {
+        return this.__record("stop", date);
+    },
+
+    /**
+     * State after the last event: idle, running, paused
+     * or stopped.
+     * @returns {String}
+     */
+    getState: function () {
+        let last = this.events[this.events.length - 1];
+        return last ? TRANSITIONS[last.type].to : "idle";
+    },
+
+    /**
+     * Spans in which the timer ran, as `[start, end]` dates,
+     * the last one without an end while it is running.
+     * @returns {Date[][]}
+     */
+    __getRunningSpans: function () {
+        let spans = [];
+        this.events.forEach(event => {
+            if (event.type == "start" || event.type == "resume") spans.push([event.date, null]);
+            else if (spans.length && !spans[spans.length - 1][1]) spans[spans.length - 1][1] = event.date;
+        });
+        return spans;
+    },
+
+    /**
+     * Business time the timer ran up to `date`, in the
+     * unit of the timer.
+     * @param {Date} date - Defaults to now
+     * @returns {number}
+     */
+    getElapsed: function (date) {
+        let asOf = toDate(date);
+        return this.__getRunningSpans().reduce((elapsed, span) => {
+            let end = span[1] && +span[1] < +asOf ? span[1] : asOf;
+            if (+end <= +span[0]) return elapsed;
+            return elapsed + this.calendar.calculateWorkingDuration(span[0], end, this.unit);
+        }, 0);
+    },
+
+    /**
+     * Business time left of the target at `date`, negative
+     * once the target is breached.
+     * @param {Date} date - Defaults to now
+     * @returns {number}
+     */
+    getRemaining: function (date) {
+        return this.target - this.getElapsed(date);
+    },
+
+    /**
+     * Date at which the target is or was breached: within the
+     * span in which it ran out, or predicted from the business
+     * time left while the timer runs. Null when the timer is
+     * idle, or paused or stopped before the target ran out.
+     * @returns {Date}
+     */
+    getBreachDate: function () {
+        let remaining = this.target;
+        let spans = this.__getRunningSpans();
+        for (let i = 0; i < spans.length; i++) {
+            let span = spans[i];
+            let spanTime = span[1] ? this.calendar.calculateWorkingDuration(span[0], span[1], this.unit) : Infinity;
+            if (remaining <= spanTime) return this.calendar.calculateEndDate(span[0], remaining, this.unit);
+            remaining -= spanTime;
+        }
+        return null;
+    },
+
+    /**
+     * Whether the target is breached at `date`.
+     * @param {Date} date - Defaults to now
+     * @returns {boolean}
+     */
+    isBreached: function (date) {
+        let breachDate = this.getBreachDate();
+        return !!breachDate && +breachDate <= +toDate(date);
+    },
+
+    /**
+     * Event log of the timer, as `{type, date}`.
+     * @returns {object[]}
+     */
+    getEvents: function () {
+        return this.events.map(event => ({ type: event.type, date: new Date(event.date) }));
+    },
+
+    /**
+     * Target, unit and event log, to be replayed through
+     * `SlaTimer.fromJSON`. The calendar is not included.
+     * @returns {object}
+     */
+    toJSON: function () {
+        return {
+            target: this.target,
+            unit: this.unit,
+            events: this.events.map(event => ({ type: event.type, date: event.date.toISOString() }))
+        };
+    }
+};
+
+module.exports = SlaTimer;
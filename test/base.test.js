@@ -0,0 +1,80 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Working hours of each day from Monday, 2019-07-01, to Saturday.
+ * @param {Calendar} calendar
+ * @returns {number[]}
+ */
+let getWorkingHours = function (calendar) {
+    return [1, 2, 3, 4, 5, 6].map(date => {
+        let day = new Date(Date.UTC(2019, 6, date));
+        return calendar.calculateWorkingDuration(day, new Date(+day + 24 * 60 * 60 * 1000), "hour");
+    });
+};
+
+let newBaseBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setDurationUnit("hour")
+        .setException("2019-07-04", false)
+        .setIndividualWorkTime(5, { shiftHours: [8, 12] });
+};
+
+test("derived calendars layer their settings over those of the base calendar", () => {
+    let base = newBaseBuilder().build();
+    let derived = new CalendarBuilder(base)
+        .setIndividualWorkTime(1, { shiftHours: [10, 14] })
+        .setException("2019-07-02", { shiftHours: [8, 10] })
+        .build();
+    assert.deepStrictEqual(getWorkingHours(base), [8, 8, 8, 0, 4, 0]);
+    assert.deepStrictEqual(getWorkingHours(derived), [4, 2, 8, 0, 4, 0]);
+    assert.strictEqual(derived.getDurationUnit(), "hour");
+    assert.strictEqual(derived.getBaseCalendar(), base);
+});
+
+test("rebuilt base calendars show in every calendar derived from them", () => {
+    let baseBuilder = newBaseBuilder();
+    let base = baseBuilder.build();
+    let derivedBuilder = new CalendarBuilder(base)
+        .setIndividualWorkTime(1, { shiftHours: [10, 14] })
+        .setException("2019-07-02", { shiftHours: [8, 10] });
+    let derived = derivedBuilder.build();
+    let grandChild = new CalendarBuilder(derived).setIndividualWorkTime(5, { shiftHours: [6, 7] }).build();
+
+    baseBuilder.setException("2019-07-03", false).setException("2019-07-02", false).setIndividualWorkTime(1, false);
+    // Until it is built again, the base calendar stays as it was
+    assert.deepStrictEqual(getWorkingHours(derived), [4, 2, 8, 0, 4, 0]);
+    let rebuilt = baseBuilder.build();
+    assert.deepStrictEqual(getWorkingHours(base), [8, 8, 8, 0, 4, 0]);
+    assert.deepStrictEqual(getWorkingHours(rebuilt), [0, 0, 0, 0, 4, 0]);
+    // The derived settings still take precedence over the base calendar
+    assert.deepStrictEqual(getWorkingHours(derived), [4, 2, 0, 0, 4, 0]);
+    assert.strictEqual(derived.getBaseCalendar(), rebuilt);
+    assert.deepStrictEqual(getWorkingHours(grandChild), [4, 2, 0, 0, 1, 0]);
+
+    derivedBuilder.setException("2019-07-04", { shiftHours: [9, 10] }).build();
+    assert.deepStrictEqual(getWorkingHours(grandChild), [4, 2, 0, 1, 1, 0]);
+});
+
+test("exceptions of the base calendar take precedence over weekdays of derived ones", () => {
+    let base = newBaseBuilder().build();
+    let derived = new CalendarBuilder(base)
+        .setIndividualWorkTime(4, { shiftHours: [8, 9] })
+        .setIndividualWorkTime(3, { shiftHours: [8, 9] })
+        .build();
+    assert.deepStrictEqual(getWorkingHours(derived), [8, 8, 1, 0, 4, 0]);
+});
+
+test("derived calendars inherit the time-zone, time period and unit unless they set their own", () => {
+    let base = new CalendarBuilder().setTimeZone("Europe/Berlin").setDurationUnit("day").setTimePeriod({ hoursPerDay: 4 }).build();
+    let derived = new CalendarBuilder(base).build();
+    assert.strictEqual(derived.getTimeZone(), "Europe/Berlin");
+    assert.strictEqual(derived.getDurationUnit(), "day");
+    // 08:00 to 16:00 in Berlin, two days of four hours
+    assert.strictEqual(derived.calculateWorkingDuration("2019-07-01T06:00:00Z", "2019-07-01T14:00:00Z"), 2);
+    let overriding = new CalendarBuilder(base).setTimeZoneOffset(0).setDurationUnit("hour").build();
+    assert.strictEqual(overriding.getTimeZone(), null);
+    assert.strictEqual(overriding.calculateWorkingDuration("2019-07-01T06:00:00Z", "2019-07-01T14:00:00Z"), 6);
+});
@@ -0,0 +1,78 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Weekends off and New Year's Day 2020 off, in hours.
+ */
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setIndividualWorkTime(0, false)
+    .setIndividualWorkTime(6, false)
+    .setException("2020-01-01", false)
+    .setDurationUnit("hour")
+    .build();
+
+/**
+ * Entries of a breakdown as "period start/end working
+ * non-working days" texts, with times to the minute.
+ * @param {object[]} entries
+ * @returns {String[]}
+ */
+let format = function (entries) {
+    return entries.map(entry => {
+        let range = entry.start.toISOString().slice(0, 16) + "/" + entry.end.toISOString().slice(0, 16);
+        return [entry.period, range, entry.workingTime, entry.nonWorkingTime, entry.workingDays].join(" ");
+    });
+};
+
+test("weeks crossing the year are labelled with the ISO year of their Thursday", () => {
+    assert.deepStrictEqual(format(calendar.getWorkingTimeBreakdown("2019-12-24T12:00:00Z", "2020-01-08T10:00:00Z", "week")), [
+        "2019-W52 2019-12-24T12:00/2019-12-30T00:00 28 104 4",
+        "2020-W01 2019-12-30T00:00/2020-01-06T00:00 32 136 4",
+        "2020-W02 2020-01-06T00:00/2020-01-08T10:00 18 40 3"
+    ]);
+    assert.deepStrictEqual(format(calendar.getWorkingTimeBreakdown("2018-12-28", "2019-01-08", "week")).map(entry => entry.slice(0, 8)), [
+        "2018-W52", "2019-W01", "2019-W02"
+    ]);
+    // 2020 has 53 ISO weeks
+    assert.deepStrictEqual(format(calendar.getWorkingTimeBreakdown("2020-12-24", "2021-01-11", "week")).map(entry => entry.slice(0, 8)), [
+        "2020-W52", "2020-W53", "2021-W01"
+    ]);
+});
+
+test("months and quarters are cut by partial first and last days", () => {
+    assert.deepStrictEqual(format(calendar.getWorkingTimeBreakdown("2019-11-15T12:00:00Z", "2020-02-10T10:00:00Z", "month")), [
+        "2019-11 2019-11-15T12:00/2019-12-01T00:00 84 288 11",
+        "2019-12 2019-12-01T00:00/2020-01-01T00:00 176 568 22",
+        "2020-01 2020-01-01T00:00/2020-02-01T00:00 176 568 22",
+        "2020-02 2020-02-01T00:00/2020-02-10T10:00 42 184 6"
+    ]);
+    // Reversed ranges are broken down all the same
+    let quarters = calendar.getWorkingTimeBreakdown("2020-05-01T15:00:00Z", "2019-11-15T12:00:00Z", "quarter");
+    assert.deepStrictEqual(format(quarters), [
+        "2019-Q4 2019-11-15T12:00/2020-01-01T00:00 260 856 33",
+        "2020-Q1 2020-01-01T00:00/2020-04-01T00:00 512 1672 64",
+        "2020-Q2 2020-04-01T00:00/2020-05-01T15:00 183 552 23"
+    ]);
+    let workingTime = quarters.reduce((total, entry) => total + entry.workingTime, 0);
+    assert.strictEqual(workingTime, calendar.calculateWorkingDuration("2019-11-15T12:00:00Z", "2020-05-01T15:00:00Z"));
+});
+
+test("periods start at midnight of the calendar's time-zone", () => {
+    let berlin = new CalendarBuilder().setTimeZone("Europe/Berlin").setDurationUnit("hour").build();
+    assert.deepStrictEqual(format(berlin.getWorkingTimeBreakdown("2019-12-31T12:00:00Z", "2020-01-02T12:00:00Z", "quarter")), [
+        "2019-Q4 2019-12-31T12:00/2019-12-31T23:00 3 8 1",
+        "2020-Q1 2019-12-31T23:00/2020-01-02T12:00 13 24 2"
+    ]);
+    // The day of the switch to summer time has 23 hours
+    assert.deepStrictEqual(format(berlin.getWorkingTimeBreakdown("2019-03-30T23:00:00Z", "2019-04-01T22:00:00Z", "day")), [
+        "2019-03-31 2019-03-30T23:00/2019-03-31T22:00 0 23 0",
+        "2019-04-01 2019-03-31T22:00/2019-04-01T22:00 8 16 1"
+    ]);
+});
+
+test("rejects unknown granularities", () => {
+    assert.throws(() => calendar.getWorkingTimeBreakdown("2019-07-01", "2019-08-01", "year"), /Granularity must be day, week, month or quarter/);
+    assert.deepStrictEqual(calendar.getWorkingTimeBreakdown("2019-07-01", "2019-07-01", "day"), []);
+});
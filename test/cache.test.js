@@ -0,0 +1,142 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Calendar with night shifts, work weeks, exceptions of every
+ * kind and daylight saving, so that week and day skipping has
+ * irregular weeks to get wrong.
+ */
+let buildCalendar = function () {
+    return new CalendarBuilder()
+        .setTimeZone("Europe/Berlin")
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, { shiftHours: [9, 13] })
+        .setIndividualWorkTime(5, { shiftHours: [8, 12, 22, 6] })
+        .setWorkWeek("Summer", "2019-06-01", "2019-08-31", { 1: { shiftHours: [7, 15] }, 6: false })
+        .setException("2019-05-01", false)
+        .setException("2019-12-24", { shiftHours: [8, 12] })
+        .setExceptionRange("2019-12-25", "2020-01-01", false)
+        .setRecurringException({ frequency: "monthly", day: 3, nth: 1 }, { shiftHours: [10, 14] })
+        .setDurationUnit("hour")
+        .build();
+};
+
+/**
+ * Same calendar without caching: every lookup starts from
+ * an empty cache.
+ * @param {Calendar} calendar
+ * @returns {Calendar}
+ */
+let withoutCache = function (calendar) {
+    let __getCache = calendar.__getCache;
+    calendar.__getCache = function () {
+        this.__cache = null;
+        return __getCache.call(this);
+    };
+    return calendar;
+};
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1).
+ * @param {number} seed
+ * @returns {Function}
+ */
+let createRandom = function (seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+};
+
+/**
+ * End date walked day by day through the working intervals,
+ * without skipping weeks.
+ * @param {Calendar} calendar
+ * @param {Date} start
+ * @param {number} duration - Hours, not 0
+ * @returns {Date}
+ */
+let walkEndDate = function (calendar, start, duration) {
+    let horizon = 400 * 24 * 60 * 60 * 1000;
+    let remaining = Math.abs(duration) * 60 * 60 * 1000;
+    let intervals = [];
+    if (duration > 0) intervals = calendar.getWorkingIntervals(start, new Date(+start + horizon));
+    else intervals = Array.from(calendar.getWorkingIntervals(new Date(+start - horizon), start)).reverse();
+    for (let interval of intervals) {
+        let workTime = interval.end - interval.start;
+        if (remaining <= workTime) return new Date(duration > 0 ? +interval.start + remaining : +interval.end - remaining);
+        remaining -= workTime;
+    }
+    return null;
+};
+
+test("cached calculations match uncached ones", () => {
+    let cached = buildCalendar();
+    let uncached = withoutCache(buildCalendar());
+    let random = createRandom(13);
+    let from = Date.UTC(2019, 0, 1);
+    let range = 400 * 24 * 60 * 60 * 1000;
+    for (let i = 0; i < 150; i++) {
+        let start = new Date(from + Math.floor(random() * range / 60000) * 60000);
+        let end = new Date(+start + Math.floor(random() * 60 * 24 * 60) * 60000);
+        let duration = Math.round((random() - 0.3) * 400 * 4) / 4;
+        let description = start.toISOString() + " " + duration;
+        assert.strictEqual(+cached.calculateEndDate(start, duration), +uncached.calculateEndDate(start, duration), description);
+        assert.strictEqual(cached.calculateWorkingDuration(start, end), uncached.calculateWorkingDuration(start, end), description);
+        assert.strictEqual(+cached.getClosestFutureWorkDate(start), +uncached.getClosestFutureWorkDate(start), description);
+    }
+});
+
+test("working duration skipping weeks matches the sum of working intervals", () => {
+    let calendar = buildCalendar();
+    let random = createRandom(17);
+    let from = Date.UTC(2019, 0, 1);
+    let range = 400 * 24 * 60 * 60 * 1000;
+    for (let i = 0; i < 40; i++) {
+        let start = new Date(from + Math.floor(random() * range / 60000) * 60000);
+        let end = new Date(+start + Math.floor(random() * 120 * 24 * 60) * 60000);
+        let workTime = 0;
+        for (let interval of calendar.getWorkingIntervals(start, end)) workTime += interval.end - interval.start;
+        assert.strictEqual(calendar.calculateWorkingDuration(start, end, "millisecond"), workTime, start.toISOString());
+    }
+});
+
+test("end dates skipping weeks match a day by day walk", () => {
+    let calendar = buildCalendar();
+    let random = createRandom(21);
+    let from = Date.UTC(2019, 0, 1);
+    let range = 400 * 24 * 60 * 60 * 1000;
+    // Durations of up to about four months cross the summer work week,
+    // the exceptions and both changes of daylight saving
+    let cases = [
+        ["2019-03-20T10:30:00Z", 600],
+        ["2019-12-20T09:00:00Z", 45.5],
+        ["2020-01-10T12:00:00Z", -52.25],
+        ["2019-09-02T07:00:00Z", -300]
+    ];
+    // Durations ending right at the end of a skipped week
+    let monday = new Date("2019-10-06T22:00:00Z");
+    let eightDays = new Date(+monday + 8 * 24 * 60 * 60 * 1000);
+    cases.push([monday.toISOString(), calendar.calculateWorkingDuration(monday, eightDays)]);
+    cases.push([eightDays.toISOString(), -calendar.calculateWorkingDuration(monday, eightDays)]);
+    for (let i = 0; i < 100; i++) {
+        let start = new Date(from + Math.floor(random() * range / 60000) * 60000);
+        let duration = Math.round((random() - 0.5) * 1200 * 4) / 4 || 1;
+        cases.push([start.toISOString(), duration]);
+    }
+    cases.forEach(([start, duration]) => {
+        let description = start + " " + duration;
+        assert.strictEqual(+calendar.calculateEndDate(start, duration), +walkEndDate(calendar, new Date(start), duration), description);
+    });
+});
+
+test("cached results are dropped when the base calendar is built again", () => {
+    let baseBuilder = new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour");
+    let calendar = new CalendarBuilder(baseBuilder.build()).build();
+    let start = "2019-07-01T00:00:00Z";
+    let end = "2019-07-06T00:00:00Z";
+    assert.strictEqual(calendar.calculateWorkingDuration(start, end), 40);
+    baseBuilder.setException("2019-07-03", false).build();
+    assert.strictEqual(calendar.calculateWorkingDuration(start, end), 32);
+});
@@ -0,0 +1,78 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false)
+        .setDurationUnit("hour");
+};
+
+let early = newBuilder().setDefaultWorkTime({ shiftHours: [6, 10] }).setException("2019-07-03", false).build();
+let late = newBuilder().setDefaultWorkTime({ shiftHours: [14, 18] }).setException("2019-07-04", { shiftHours: [8, 16] }).build();
+let office = newBuilder().setDefaultWorkTime({ shiftHours: [8, 12, 13, 17] }).setException("2019-07-02", false).build();
+let core = newBuilder().setDefaultWorkTime({ shiftHours: [10, 11] }).build();
+
+/**
+ * Working intervals of each day from Monday, 2019-07-01, to
+ * Thursday, as "hh:mm-hh:mm" texts.
+ * @param {Calendar} calendar
+ * @returns {String[]}
+ */
+let getIntervals = function (calendar) {
+    return [1, 2, 3, 4].map(date => {
+        let day = new Date(Date.UTC(2019, 6, date));
+        let intervals = [];
+        for (let interval of calendar.getWorkingIntervals(day, new Date(+day + 24 * 60 * 60 * 1000))) {
+            intervals.push(interval.start.toISOString().slice(11, 16) + "-" + interval.end.toISOString().slice(11, 16));
+        }
+        return intervals.join(" ");
+    });
+};
+
+test("intersections of disjoint calendars only work where exceptions meet", () => {
+    assert.deepStrictEqual(getIntervals(early.intersect(late)), ["", "", "", "08:00-10:00"]);
+    assert.deepStrictEqual(getIntervals(early.union(late)), [
+        "06:00-10:00 14:00-18:00",
+        "06:00-10:00 14:00-18:00",
+        "14:00-18:00",
+        "06:00-16:00"
+    ]);
+});
+
+test("overlapping shifts are cut down or joined", () => {
+    assert.deepStrictEqual(getIntervals(early.intersect(office)), ["08:00-10:00", "", "", "08:00-10:00"]);
+    assert.deepStrictEqual(getIntervals(early.union(office)), [
+        "06:00-12:00 13:00-17:00",
+        "06:00-10:00",
+        "08:00-12:00 13:00-17:00",
+        "06:00-12:00 13:00-17:00"
+    ]);
+    assert.strictEqual(early.union(office).calculateEndDate("2019-07-01T06:00:00Z", 20).toISOString(), "2019-07-03T15:00:00.000Z");
+    // Any number of calendars at once
+    assert.deepStrictEqual(getIntervals(early.union(late, office))[0], "06:00-12:00 13:00-18:00");
+});
+
+test("nested shifts keep the inner or the outer one", () => {
+    // Non-working exceptions on either side win in intersections only
+    assert.deepStrictEqual(getIntervals(office.intersect(core)), ["10:00-11:00", "", "10:00-11:00", "10:00-11:00"]);
+    assert.deepStrictEqual(getIntervals(core.intersect(office)), getIntervals(office.intersect(core)));
+    assert.deepStrictEqual(getIntervals(office.union(core)), [
+        "08:00-12:00 13:00-17:00",
+        "10:00-11:00",
+        "08:00-12:00 13:00-17:00",
+        "08:00-12:00 13:00-17:00"
+    ]);
+    // A working exception on one side is met by the shifts of the other
+    assert.deepStrictEqual(getIntervals(office.intersect(late)), ["14:00-17:00", "", "14:00-17:00", "08:00-12:00 13:00-16:00"]);
+});
+
+test("combined calendars keep the settings of the first one", () => {
+    let berlin = new CalendarBuilder().setTimeZone("Europe/Berlin").setDurationUnit("day").build();
+    let combined = berlin.intersect(office);
+    assert.strictEqual(combined.getTimeZone(), "Europe/Berlin");
+    assert.strictEqual(combined.getDurationUnit(), "day");
+    assert.strictEqual(office.union(berlin).getTimeZone(), null);
+});
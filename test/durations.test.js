@@ -0,0 +1,69 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let hour = 60 * 60 * 1000;
+
+let calendar = new CalendarBuilder().setTimeZoneOffset(0).build();
+
+/**
+ * Calendar of seven-hour days and 35-hour weeks, working eight
+ * hours a day all the same.
+ */
+let shortWeeks = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setTimePeriod({ hoursPerDay: 7, hoursPerWeek: 35, hoursPerMonth: 140, hoursPerYear: 1680 })
+    .setDurationUnit("day")
+    .build();
+
+test("formats durations in weeks, days, hours and minutes of the time period", () => {
+    assert.strictEqual(calendar.formatDuration(2 * 40 * hour + 3 * 8 * hour + 4.5 * hour), "2w 3d 4h 30m");
+    assert.strictEqual(calendar.formatDuration(-90 * 60 * 1000), "-1h 30m");
+    assert.strictEqual(calendar.formatDuration(0), "0m");
+    assert.strictEqual(calendar.formatDuration(200 * hour, ["y", "mo", "w", "d"]), "1mo 1w");
+    assert.strictEqual(shortWeeks.formatDuration(43 * hour), "1w 1d 1h");
+    assert.throws(() => calendar.formatDuration(hour, ["fortnight"]), /Duration unit is invalid/);
+});
+
+test("rounding the last unit carries into the larger ones", () => {
+    assert.strictEqual(calendar.formatDuration(59.99 * 60 * 1000), "59.99m");
+    assert.strictEqual(calendar.formatDuration(59.999 * 60 * 1000), "1h");
+    assert.strictEqual(calendar.formatDuration(59.99 * 60 * 1000, ["h"]), "1h");
+    assert.strictEqual(calendar.formatDuration(39.999 * hour, ["w", "d", "h"]), "1w");
+    assert.strictEqual(calendar.formatDuration(7.999 * 8 * hour), "1w 2d 7h 59.52m");
+    assert.strictEqual(shortWeeks.formatDuration(7.999 * 7 * hour, ["w", "d"]), "1w 3d");
+    assert.strictEqual(shortWeeks.formatDuration(4.9999 * 7 * hour, ["w", "d"]), "1w");
+    assert.strictEqual(shortWeeks.formatDuration(139.9999 * hour, ["mo", "w"]), "1mo");
+});
+
+test("parses duration strings into any unit", () => {
+    assert.strictEqual(calendar.parseDuration("2w 3d 4.5h", "hour"), 108.5);
+    assert.strictEqual(calendar.parseDuration("-90m", "hour"), -1.5);
+    assert.strictEqual(calendar.parseDuration("1y", "hour"), 1920);
+    assert.strictEqual(calendar.parseDuration("1mo", "day"), 20);
+    assert.strictEqual(shortWeeks.parseDuration("1y 1mo"), 260);
+    assert.strictEqual(shortWeeks.parseDuration("1w", "hour"), 35);
+    assert.strictEqual(calendar.parseDuration("2ed 4eh", "ehour"), 52);
+    ["", "2x", "h"].forEach(text => assert.throws(() => calendar.parseDuration(text), /Duration string is invalid/));
+    assert.throws(() => calendar.parseDuration("1h 2eh"), /mixes elapsed and working time/);
+    assert.throws(() => calendar.parseDuration("1h", "ehour"), /cannot be converted/);
+});
+
+test("formatted durations parse back to the same time", () => {
+    [108.5 * hour, 61 * 60 * 1000, 3 * 40 * hour + 15 * 60 * 1000, 7 * hour + 59.5 * 60 * 1000].forEach(milliSecs => {
+        assert.strictEqual(calendar.parseDuration(calendar.formatDuration(milliSecs), "millisecond"), milliSecs);
+    });
+    let milliSecs = 2 * 35 * hour + 6 * hour;
+    assert.strictEqual(shortWeeks.parseDuration(shortWeeks.formatDuration(milliSecs, ["w", "d", "h"]), "millisecond"), milliSecs);
+});
+
+test("weeks, months and years are converted through the time period", () => {
+    // Eight hours a day, so a week of 35 hours ends on Friday morning
+    assert.strictEqual(shortWeeks.calculateEndDate("2019-07-01T08:00:00Z", 1, "week").toISOString(), "2019-07-05T11:00:00.000Z");
+    assert.strictEqual(shortWeeks.calculateEndDate("2019-07-01T08:00:00Z", 0.25, "month").toISOString(), "2019-07-05T11:00:00.000Z");
+    assert.strictEqual(shortWeeks.calculateEndDate("2019-07-01T08:00:00Z", "1w 1d").toISOString(), "2019-07-08T10:00:00.000Z");
+    assert.strictEqual(shortWeeks.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-08T00:00:00Z", "week"), 40 / 35);
+    assert.strictEqual(shortWeeks.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-08T00:00:00Z"), 40 / 7);
+    // 261 working days in 2019
+    assert.strictEqual(shortWeeks.calculateWorkingDuration("2019-01-01T00:00:00Z", "2020-01-01T00:00:00Z", "year"), 261 * 8 / 1680);
+});
@@ -0,0 +1,45 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false);
+};
+
+test("effort runs at the availability of the shifts", () => {
+    let calendar = newBuilder().setDefaultWorkTime({ shiftHours: [8, 12, 13, 17], availability: 0.5 }).build();
+    assert.strictEqual(calendar.calculateEffortEndDate("2019-07-01T08:00:00Z", 16, "hour").toISOString(), "2019-07-04T17:00:00.000Z");
+    assert.strictEqual(calendar.calculateEffortEndDate("2019-07-04T17:00:00Z", -16, "hour").toISOString(), "2019-07-01T08:00:00.000Z");
+    assert.strictEqual(calendar.calculateEffortEndDate("2019-07-01T08:00:00Z", "2d", "hour").toISOString(), "2019-07-04T17:00:00.000Z");
+    assert.strictEqual(calendar.calculateEffort("2019-07-01T08:00:00Z", "2019-07-04T17:00:00Z", "hour"), 16);
+    // Working time itself is not reduced
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-01T08:00:00Z", "2019-07-04T17:00:00Z", "hour"), 32);
+});
+
+test("availability is kept per shift and on exceptions", () => {
+    let calendar = newBuilder()
+        .setIndividualWorkTime(1, { shiftHours: [8, 12, 12, 16], availability: [1, 0.5] })
+        .setException("2019-07-02", { shiftHours: [8, 16], availability: 0.25 }, { name: "training" })
+        .build();
+    // Shifts of different availability are not merged
+    assert.deepStrictEqual(calendar.getWorkTime(new Date("2019-07-01T10:00:00Z")).availability, [1, 0.5]);
+    assert.strictEqual(calendar.calculateEffort("2019-07-01T00:00:00Z", "2019-07-03T00:00:00Z", "hour"), 8);
+    assert.strictEqual(calendar.calculateEffortEndDate("2019-07-01T08:00:00Z", 7, "hour").toISOString(), "2019-07-02T12:00:00.000Z");
+    let copy = CalendarBuilder.fromJSON(JSON.stringify(calendar));
+    assert.strictEqual(copy.calculateEffort("2019-07-01T00:00:00Z", "2019-07-03T00:00:00Z", "hour"), 8);
+});
+
+test("overnight shifts spill their effort into the next day", () => {
+    let calendar = new CalendarBuilder().setTimeZoneOffset(0).setDefaultWorkTime({ shiftHours: [22, 6], availability: 0.5 }).build();
+    assert.strictEqual(calendar.calculateEffortEndDate("2019-07-01T22:00:00Z", 6, "hour").toISOString(), "2019-07-03T02:00:00.000Z");
+});
+
+test("rejects invalid availability and elapsed effort", () => {
+    let builder = newBuilder().setStrictMode(true);
+    assert.throws(() => builder.setDefaultWorkTime({ shiftHours: [8, 16], availability: 1.5 }), { code: "INVALID_SHIFT" });
+    assert.throws(() => builder.setDefaultWorkTime({ shiftHours: [8, 16], availability: [1, 1] }), { code: "INVALID_SHIFT" });
+    assert.throws(() => builder.build().calculateEffortEndDate("2019-07-01T08:00:00Z", 2, "ehour"), /elapsed time/);
+});
@@ -0,0 +1,46 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Berlin calendar with Friday 2019-03-29, before the switch to
+ * summer time, off.
+ */
+let calendar = new CalendarBuilder()
+    .setTimeZone("Europe/Berlin")
+    .setException("2019-03-29", false)
+    .setDurationUnit("hour")
+    .build();
+
+test("elapsed units count real time around the clock", () => {
+    assert.strictEqual(calendar.calculateEndDate("2019-03-28T12:00:00Z", 1, "eweek").toISOString(), "2019-04-04T12:00:00.000Z");
+    // An elapsed month is 30 days
+    assert.strictEqual(calendar.calculateEndDate("2019-03-28T12:00:00Z", 1, "emonth").toISOString(), "2019-04-27T12:00:00.000Z");
+    // Three wall-clock days without working time, one hour short of 72 real ones
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-03-28T23:00:00Z", "2019-03-31T22:00:00Z", "hour"), 0);
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-03-31T22:00:00Z", "2019-03-28T23:00:00Z", "ehour"), 71);
+    assert.strictEqual(calendar.parseDuration("2ed"), 48);
+    assert.strictEqual(calendar.parseDuration("36eh", "eday"), 1.5);
+});
+
+test("elapsed days are 24 hours across DST switches", () => {
+    // From 13:00 in winter time to 14:00 in summer time
+    assert.strictEqual(calendar.calculateEndDate("2019-03-30T12:00:00Z", 1, "eday").toISOString(), "2019-03-31T12:00:00.000Z");
+    assert.strictEqual(calendar.calculateEndDate("2019-03-30T12:00:00Z", "1ed").toISOString(), "2019-03-31T12:00:00.000Z");
+    assert.strictEqual(calendar.calculateEndDate("2019-03-31T12:00:00Z", -1, "eday").toISOString(), "2019-03-30T12:00:00.000Z");
+    assert.strictEqual(calendar.calculateEndDate("2019-10-26T12:00:00Z", 36, "ehour").toISOString(), "2019-10-28T00:00:00.000Z");
+    // Two wall-clock days of 23 and 25 hours
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-03-29T23:00:00Z", "2019-03-31T22:00:00Z", "ehour"), 47);
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-03-29T23:00:00Z", "2019-03-31T22:00:00Z", "eday"), 47 / 24);
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-10-26T22:00:00Z", "2019-10-27T23:00:00Z", "ehour"), 25);
+});
+
+test("elapsed end dates snap to working time on request only", () => {
+    // Saturday noon, to Monday morning in summer time
+    let options = { snap: "start-of-next" };
+    assert.strictEqual(calendar.calculateEndDate("2019-03-29T12:00:00Z", 1, "eday", options).toISOString(), "2019-04-01T06:00:00.000Z");
+    // Sunday noon, back to Thursday evening before the non-working Friday
+    options = { snap: "end-of-previous" };
+    assert.strictEqual(calendar.calculateEndDate("2019-03-30T12:00:00Z", "1ed", undefined, options).toISOString(), "2019-03-28T15:00:00.000Z");
+    assert.throws(() => calendar.calculateEndDate("2019-03-30T12:00:00Z", "1ed 2h"), /mixes elapsed and working time/);
+});
@@ -0,0 +1,76 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour");
+};
+
+/**
+ * Working hours of each weekday of the first two weeks of July 2019.
+ * @param {Calendar} calendar
+ * @returns {number[]}
+ */
+let getWorkingHours = function (calendar) {
+    return [1, 2, 3, 4, 5, 8, 9, 10, 11, 12].map(date => {
+        let day = new Date(Date.UTC(2019, 6, date));
+        return calendar.calculateWorkingDuration(day, new Date(+day + 24 * 60 * 60 * 1000));
+    });
+};
+
+/**
+ * Exception records between two dates as `[type, start, end]`.
+ * @param {Calendar} calendar
+ * @returns {Array[]}
+ */
+let getRecords = function (calendar) {
+    return calendar.getExceptionsBetween("2019-07-01", "2019-07-13").map(record => {
+        return [record.type, record.start.toISOString().slice(0, 10), record.end.toISOString().slice(0, 10)];
+    });
+};
+
+test("exception ranges include both ends", () => {
+    let calendar = newBuilder().setExceptionRange("2019-07-02", "2019-07-04", false).build();
+    assert.deepStrictEqual(getWorkingHours(calendar), [8, 0, 0, 0, 8, 8, 8, 8, 8, 8]);
+    assert.deepStrictEqual(getRecords(calendar), [["range", "2019-07-02", "2019-07-05"]]);
+    // One day, and ends given as instants in other zones
+    assert.deepStrictEqual(getWorkingHours(newBuilder().setExceptionRange("2019-07-02", "2019-07-02", false).build()), [8, 0, 8, 8, 8, 8, 8, 8, 8, 8]);
+    let zoned = newBuilder().setExceptionRange("2019-07-01T23:30:00+02:00", "2019-07-03T00:30:00-02:00", false).build();
+    assert.deepStrictEqual(getWorkingHours(zoned), [0, 0, 0, 8, 8, 8, 8, 8, 8, 8]);
+});
+
+test("removing exceptions cuts down ranges that only partly overlap", () => {
+    let builder = newBuilder()
+        .setExceptionRange("2019-07-02", "2019-07-04", false)
+        .removeException("2019-07-03", "2019-07-08");
+    assert.deepStrictEqual(getWorkingHours(builder.build()), [8, 0, 8, 8, 8, 8, 8, 8, 8, 8]);
+    assert.deepStrictEqual(getRecords(builder.build()), [["range", "2019-07-02", "2019-07-03"]]);
+
+    // A day removed from the middle splits the range, keeping its work time
+    let split = newBuilder()
+        .setExceptionRange("2019-07-01", "2019-07-10", { shiftHours: [8, 12] })
+        .removeException("2019-07-03")
+        .build();
+    assert.deepStrictEqual(getWorkingHours(split), [4, 4, 8, 4, 4, 4, 4, 4, 8, 8]);
+    assert.deepStrictEqual(getRecords(split), [["range", "2019-07-01", "2019-07-03"], ["range", "2019-07-04", "2019-07-11"]]);
+});
+
+test("removing dates that were never set changes nothing", () => {
+    let builder = newBuilder()
+        .setException("2019-07-05", false)
+        .setExceptionRange("2019-07-09", "2019-07-10", false)
+        .removeException("2019-07-01")
+        .removeException("2019-07-20", "2019-07-31");
+    assert.deepStrictEqual(builder.validate(), []);
+    assert.deepStrictEqual(getWorkingHours(builder.build()), [8, 8, 8, 8, 0, 8, 0, 0, 8, 8]);
+    assert.deepStrictEqual(getWorkingHours(newBuilder().removeException("2019-07-02").build()), [8, 8, 8, 8, 8, 8, 8, 8, 8, 8]);
+});
+
+test("single dates take precedence over ranges, later ranges over earlier ones", () => {
+    let calendar = newBuilder()
+        .setExceptionRange("2019-07-01", "2019-07-05", false)
+        .setExceptionRange("2019-07-04", "2019-07-09", { shiftHours: [8, 10] })
+        .setException("2019-07-02", { shiftHours: [8, 9] })
+        .build();
+    assert.deepStrictEqual(getWorkingHours(calendar), [0, 1, 0, 2, 2, 2, 2, 8, 8, 8]);
+});
@@ -0,0 +1,98 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let toICS = function (events) {
+    let lines = ["BEGIN:VCALENDAR", "VERSION:2.0"];
+    events.forEach(event => lines.push("BEGIN:VEVENT", ...event, "END:VEVENT"));
+    lines.push("END:VCALENDAR", "");
+    return lines.join("\r\n");
+};
+
+let holidays = toICS([
+    ["UID:1", "SUMMARY:Holiday", "DTSTART;VALUE=DATE:20190703", "DTEND;VALUE=DATE:20190704"],
+    ["UID:2", "SUMMARY:Offsite", "DTSTART:20190701T100000Z", "DTEND:20190701T120000Z"],
+    ["UID:3", "SUMMARY:Retro", "DTSTART:20190705T140000Z", "DTEND:20190705T160000Z", "RRULE:FREQ=WEEKLY;COUNT=3"],
+    ["UID:4", "SUMMARY:Lunch", "DTSTART:20190702T120000Z", "DTEND:20190702T130000Z", "TRANSP:TRANSPARENT"],
+    ["UID:5", "SUMMARY:Moved", "DTSTART;VALUE=DATE:20190704", "STATUS:CANCELLED"]
+]);
+
+let newBuilder = function () {
+    return new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour");
+};
+
+test("imports all-day, timed and recurring events as exceptions", () => {
+    let builder = newBuilder().importICS(holidays);
+    let calendar = builder.build();
+    assert.deepStrictEqual(builder.validate(), []);
+    // Holiday, offsite and retro, but neither the free lunch nor the cancelled event
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-06T00:00:00Z"), 28);
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-15T00:00:00Z", "2019-07-20T00:00:00Z"), 38);
+    // The retro only recurs three times
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-22T00:00:00Z", "2019-07-27T00:00:00Z"), 40);
+});
+
+test("exports non-working days and working intervals", () => {
+    let calendar = newBuilder().importICS(holidays).build();
+    let exported = calendar.toICS("2019-07-01", "2019-07-06");
+    assert.match(exported, /^BEGIN:VCALENDAR\r\n/);
+    let events = exported.split("BEGIN:VEVENT\r\n").slice(1);
+    let nonWorking = events.filter(event => event.indexOf("TRANSP:OPAQUE") != -1);
+    assert.strictEqual(nonWorking.length, 1);
+    assert.match(nonWorking[0], /DTSTART;VALUE=DATE:20190703\r\nDTEND;VALUE=DATE:20190704\r\n/);
+    let working = events
+        .filter(event => event.indexOf("TRANSP:TRANSPARENT") != -1)
+        .map(event => event.match(/DTSTART:(\w+)\r\nDTEND:(\w+)/).slice(1).join("/"));
+    let intervals = [];
+    for (let interval of calendar.getWorkingIntervals("2019-07-01T00:00:00Z", "2019-07-06T00:00:00Z")) {
+        intervals.push([interval.start, interval.end].map(date => date.toISOString().replace(/[-:]|\.000/g, "")).join("/"));
+    }
+    assert.deepStrictEqual(working, intervals);
+    assert.strictEqual(working[0], "20190701T080000Z/20190701T100000Z");
+});
+
+test("reports invalid and unsupported events and imports the others", () => {
+    let text = toICS([
+        ["UID:broken", "SUMMARY:Broken", "DTSTART:nonsense"],
+        ["UID:weird", "SUMMARY:Weird", "DTSTART;VALUE=DATE:20190701", "RRULE:FREQ=YEARLY;BYWEEKNO=3"],
+        ["UID:ok", "SUMMARY:Ok", "DTSTART;VALUE=DATE:20190702"]
+    ]);
+    let builder = newBuilder().importICS(text);
+    let problems = builder.validate();
+    assert.deepStrictEqual(problems.map(problem => problem.code), ["INVALID_ICS", "INVALID_RULE"]);
+    assert.deepStrictEqual(problems.map(problem => problem.value.summary), ["Broken", "Weird"]);
+    let calendar = builder.build();
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-03T00:00:00Z"), 8);
+});
+
+test("strict builders throw before importing any event", () => {
+    let text = toICS([
+        ["UID:ok", "SUMMARY:Ok", "DTSTART;VALUE=DATE:20190702"],
+        ["UID:weird", "SUMMARY:Weird", "DTSTART;VALUE=DATE:20190701", "RRULE:FREQ=YEARLY;BYWEEKNO=3"]
+    ]);
+    let builder = newBuilder().setStrictMode(true);
+    assert.throws(() => builder.importICS(text), { name: "CalendarValidationError", code: "INVALID_RULE" });
+    assert.strictEqual(builder.build().calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-03T00:00:00Z"), 16);
+});
+
+test("timed events cut the shifts left by earlier events and exceptions", () => {
+    let builder = newBuilder()
+        .setException("2019-07-01", { shiftHours: [8, 12, 13, 18] }, { name: "Long day", category: "overtime" });
+    let calendar = builder.build();
+    let text = toICS([
+        ["UID:1", "SUMMARY:Offsite", "DTSTART:20190701T090000Z", "DTEND:20190701T100000Z"],
+        ["UID:2", "DTSTART:20190701T150000Z", "DTEND:20190701T170000Z"],
+        ["UID:3", "SUMMARY:Night", "DTSTART:20190702T220000Z", "DTEND:20190703T090000Z"]
+    ]);
+    builder.importICS(text);
+    assert.deepStrictEqual(builder.validate(), []);
+    let imported = builder.build();
+    assert.deepStrictEqual(imported.getWorkTime(new Date("2019-07-01T12:00:00Z")).shiftHours, [8, 9, 10, 12, 13, 15, 17, 18]);
+    // The unnamed event keeps the category of the exception it replaces
+    let exception = imported.getExceptionFor("2019-07-01T12:00:00Z");
+    assert.deepStrictEqual([exception.name, exception.category], ["Offsite", "overtime"]);
+    assert.deepStrictEqual(imported.getWorkTime(new Date("2019-07-03T12:00:00Z")).shiftHours, [9, 16]);
+    // Calendars built before the import are left as they were
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-04T00:00:00Z"), 9 + 8 + 8);
+    assert.strictEqual(imported.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-04T00:00:00Z"), 6 + 8 + 7);
+});
@@ -0,0 +1,80 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Builder with weekends off and a named holiday on
+ * Thursday 2019-07-04.
+ * @returns {CalendarBuilder}
+ */
+let newBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false)
+        .setException("2019-07-04", false, { name: "Holiday", metadata: { regions: ["US"] } });
+};
+
+/**
+ * Start of the first working time from `date` on.
+ * @param {Calendar} calendar
+ * @param {string} date
+ * @returns {string}
+ */
+let nextWorkDate = function (calendar, date) {
+    return calendar.getClosestFutureWorkDate(date).toISOString();
+};
+
+test("the configuration of a built calendar is frozen all the way down", () => {
+    let calendar = newBuilder().build();
+    assert.ok(Object.isFrozen(calendar.config));
+    assert.ok(Object.isFrozen(calendar.config.activeDays));
+    assert.ok(Object.isFrozen(calendar.config.exceptions[0].metadata.regions));
+    assert.throws(() => calendar.config.exceptions.push({ date: new Date() }), TypeError);
+    assert.throws(() => calendar.config.exceptions[0].metadata.regions.push("CA"), TypeError);
+    // What getters return can be changed without reaching the calendar
+    calendar.getTimePeriod().hoursPerDay = 3;
+    calendar.getExceptionFor("2019-07-04T10:00:00Z").metadata.regions.push("CA");
+    assert.strictEqual(calendar.getTimePeriod().hoursPerDay, 8);
+    assert.deepStrictEqual(calendar.getExceptionFor("2019-07-04T10:00:00Z").metadata, { regions: ["US"] });
+});
+
+test("setter calls after building only reach the calendars built afterwards", () => {
+    let builder = newBuilder();
+    let calendar = builder.build();
+    builder.setException("2019-07-05", false).setDurationUnit("hour");
+    assert.strictEqual(nextWorkDate(calendar, "2019-07-05T00:00:00Z"), "2019-07-05T08:00:00.000Z");
+    assert.strictEqual(calendar.getDurationUnit(), "minute");
+    let rebuilt = builder.build();
+    assert.strictEqual(nextWorkDate(rebuilt, "2019-07-05T00:00:00Z"), "2019-07-08T08:00:00.000Z");
+    assert.strictEqual(rebuilt.getDurationUnit(), "hour");
+});
+
+test("variants built from toBuilder leave the original and its derived calendars unchanged", () => {
+    let calendar = newBuilder().build();
+    let derived = new CalendarBuilder(calendar).setDurationUnit("hour").build();
+    let variant = calendar.toBuilder()
+        .setException("2019-07-03", false)
+        .setIndividualWorkTime(6, { shiftHours: [9, 10] })
+        .setDurationUnit("day")
+        .build();
+    assert.strictEqual(nextWorkDate(variant, "2019-07-03T00:00:00Z"), "2019-07-05T08:00:00.000Z");
+    assert.strictEqual(nextWorkDate(variant, "2019-07-06T00:00:00Z"), "2019-07-06T09:00:00.000Z");
+    assert.strictEqual(variant.getExceptionFor("2019-07-04T10:00:00Z").name, "Holiday");
+    [calendar, derived].forEach(original => {
+        assert.strictEqual(nextWorkDate(original, "2019-07-03T00:00:00Z"), "2019-07-03T08:00:00.000Z");
+        assert.strictEqual(nextWorkDate(original, "2019-07-06T00:00:00Z"), "2019-07-08T08:00:00.000Z");
+    });
+    assert.strictEqual(calendar.getDurationUnit(), "minute");
+    assert.strictEqual(derived.getDurationUnit(), "hour");
+});
+
+test("variants of derived calendars keep their base calendar", () => {
+    let calendar = newBuilder().build();
+    let derived = new CalendarBuilder(calendar).setDurationUnit("hour").build();
+    let variant = derived.toBuilder().setDurationUnit("day").build();
+    assert.strictEqual(derived.getDurationUnit(), "hour");
+    assert.strictEqual(variant.getDurationUnit(), "day");
+    assert.strictEqual(variant.getExceptionFor("2019-07-04T10:00:00Z").name, "Holiday");
+    assert.throws(() => calendar.union(derived).toBuilder(), /Combined calendars have no builder/);
+});
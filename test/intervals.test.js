@@ -0,0 +1,80 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Shifts of different availability meeting at noon, the Thursday
+ * off and a Friday with a lunch and a short break.
+ */
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setIndividualWorkTime(0, false)
+    .setIndividualWorkTime(6, false)
+    .setDefaultWorkTime({ shiftHours: [8, 12, 12, 16], availability: [1, 0.5] })
+    .setIndividualWorkTime(5, { shiftHours: [8, 12, 12, 13, 14, 16] })
+    .setException("2019-07-04", false)
+    .build();
+
+/**
+ * Intervals of an iterator as "MM-DDThh:mm/MM-DDThh:mm" texts,
+ * followed by "@availability" where there is one.
+ * @param {Iterator} intervals
+ * @returns {String[]}
+ */
+let format = function (intervals) {
+    let texts = [];
+    for (let interval of intervals) {
+        let text = interval.start.toISOString().slice(5, 16) + "/" + interval.end.toISOString().slice(5, 16);
+        texts.push(text + (interval.availability === undefined ? "" : "@" + interval.availability));
+    }
+    return texts;
+};
+
+test("intervals are clipped where the range starts or ends within a shift", () => {
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals("2019-07-03T10:00:00Z", "2019-07-05T15:00:00Z")), [
+        "07-03T10:00/07-03T16:00",
+        "07-05T08:00/07-05T13:00",
+        "07-05T14:00/07-05T15:00"
+    ]);
+    assert.deepStrictEqual(format(calendar.getNonWorkingIntervals("2019-07-03T10:00:00Z", "2019-07-05T15:00:00Z")), [
+        "07-03T16:00/07-05T08:00",
+        "07-05T13:00/07-05T14:00"
+    ]);
+    // Availability splits the working time where it changes
+    assert.deepStrictEqual(format(calendar.getAvailabilityIntervals("2019-07-03T10:00:00Z", "2019-07-03T14:00:00Z")), [
+        "07-03T10:00/07-03T12:00@1",
+        "07-03T12:00/07-03T14:00@0.5"
+    ]);
+});
+
+test("empty ranges and ranges without working time", () => {
+    let day = ["2019-07-04T10:00:00Z", "2019-07-04T12:00:00Z"];
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals(day[0], day[1])), []);
+    assert.deepStrictEqual(format(calendar.getNonWorkingIntervals(day[0], day[1])), ["07-04T10:00/07-04T12:00"]);
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals("2019-07-03T10:00:00Z", "2019-07-03T10:00:00Z")), []);
+    assert.deepStrictEqual(format(calendar.getNonWorkingIntervals("2019-07-03T10:00:00Z", "2019-07-03T10:00:00Z")), []);
+    // Reversed ranges are empty
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals("2019-07-03T11:00:00Z", "2019-07-03T10:00:00Z")), []);
+});
+
+test("breaks shorter than the minimum are left out", () => {
+    let hour = 60 * 60 * 1000;
+    let range = ["2019-07-05T08:00:00Z", "2019-07-08T12:00:00Z"];
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals(range[0], range[1], hour)), [
+        "07-05T08:00/07-05T13:00",
+        "07-05T14:00/07-05T16:00",
+        "07-08T08:00/07-08T12:00"
+    ]);
+    assert.deepStrictEqual(format(calendar.getWorkingIntervals(range[0], range[1], 2 * hour)), [
+        "07-05T08:00/07-05T16:00",
+        "07-08T08:00/07-08T12:00"
+    ]);
+    assert.deepStrictEqual(format(calendar.getNonWorkingIntervals(range[0], range[1], 2 * hour)), ["07-05T16:00/07-08T08:00"]);
+    assert.throws(() => calendar.getWorkingIntervals(range[0], range[1], -1), /non-negative number/);
+});
+
+test("intervals are iterated lazily", () => {
+    let intervals = calendar.getWorkingIntervals("2019-07-01T00:00:00Z", "2030-01-01T00:00:00Z");
+    assert.strictEqual(intervals.next().value.start.toISOString(), "2019-07-01T08:00:00.000Z");
+    assert.throws(() => calendar.getWorkingIntervals("garbage", "2019-07-02"), /Invalid date/);
+});
@@ -0,0 +1,79 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Calendar on a New York base calendar with every kind of
+ * exception, a work week and named shifts.
+ * @returns {Calendar}
+ */
+let buildCalendar = function () {
+    let base = new CalendarBuilder()
+        .setTimeZone("America/New_York")
+        .setTimePeriod({ hoursPerDay: 7 })
+        .setException("2019-07-04T12:00:00Z", false, { name: "Independence Day", category: "public holiday" })
+        .build();
+    return new CalendarBuilder(base)
+        .setDurationUnit("hour")
+        .setIndividualWorkTime(5, { shiftHours: [8, 12], shiftNames: ["Morning"] })
+        .setException("2019-07-05T12:00:00Z", { shiftHours: [9, 11], availability: 0.5 })
+        .setExceptionRange("2019-12-24T12:00:00Z", "2019-12-31T12:00:00Z", false, { name: "Break", metadata: { paid: true } })
+        .setRecurringException({ frequency: "yearly", month: 10, day: 4, nth: 4 }, false, { name: "Thanksgiving" })
+        .setRecurringException({ frequency: "yearly", easterOffset: -2 }, false)
+        .setWorkWeek("Summer", "2019-06-01T12:00:00Z", "2019-08-31T12:00:00Z", { 5: false })
+        .build();
+};
+
+/**
+ * Results of a calendar that its copies must reproduce.
+ * @param {Calendar} calendar
+ * @returns {Array}
+ */
+let getResults = function (calendar) {
+    let months = [];
+    for (let month = 0; month < 12; month++) {
+        months.push(calendar.calculateWorkingDuration(new Date(Date.UTC(2019, month, 1)), new Date(Date.UTC(2019, month + 1, 1))));
+    }
+    let exceptions = calendar.getExceptionsBetween("2019-01-01", "2020-01-01").map(record => {
+        return [record.start.toISOString(), record.type, record.name, record.category, record.metadata];
+    });
+    return [months, exceptions, calendar.getTimeZone(), calendar.getDurationUnit(), calendar.getTimePeriod()];
+};
+
+test("round trips keep time-zones, exceptions, rules and base calendars", () => {
+    let calendar = buildCalendar();
+    let json = JSON.stringify(calendar);
+    let copy = CalendarBuilder.fromJSON(json);
+    assert.strictEqual(JSON.stringify(copy), json);
+    assert.deepStrictEqual(getResults(copy), getResults(calendar));
+    assert.strictEqual(copy.getTimeZone(), "America/New_York");
+    assert.strictEqual(copy.getExceptionFor("2019-11-28T17:00:00Z").name, "Thanksgiving");
+    assert.deepStrictEqual(CalendarBuilder.fromJSON(JSON.parse(json)).toJSON(), calendar.toJSON());
+});
+
+test("round trips keep fixed offsets and combinations", () => {
+    let india = new CalendarBuilder().setTimeZoneOffset(-330).setException("2019-07-05T12:00:00Z", false).build();
+    let json = JSON.stringify(india);
+    let copy = CalendarBuilder.fromJSON(json);
+    assert.strictEqual(JSON.stringify(copy), json);
+    assert.strictEqual(copy.getClosestFutureWorkDate("2019-07-05T00:00:00Z").toISOString(), "2019-07-08T02:30:00.000Z");
+
+    let combined = buildCalendar().union(india);
+    let combinedCopy = CalendarBuilder.fromJSON(JSON.stringify(combined));
+    assert.strictEqual(JSON.stringify(combinedCopy), JSON.stringify(combined));
+    assert.deepStrictEqual(getResults(combinedCopy), getResults(combined));
+});
+
+test("rejects documents of unknown versions and invalid documents", () => {
+    let document = buildCalendar().toJSON();
+    let withVersion = version => Object.assign({}, document, { version: version });
+    assert.throws(() => CalendarBuilder.fromJSON(withVersion(2)), { name: "CalendarSchemaError", message: /Unsupported calendar schema version 2/ });
+    assert.throws(() => CalendarBuilder.fromJSON(withVersion(undefined)), { name: "CalendarSchemaError" });
+    assert.throws(() => CalendarBuilder.fromJSON(withVersion("1")), { name: "CalendarSchemaError" });
+    assert.throws(() => CalendarBuilder.fromJSON("{"), { name: "CalendarSchemaError", message: /not valid JSON/ });
+    assert.throws(() => CalendarBuilder.fromJSON(42), { name: "CalendarSchemaError" });
+    assert.throws(() => CalendarBuilder.fromJSON(Object.assign({}, document, { timeZone: "Mars/Base" })), /Mars\/Base is invalid/);
+    let brokenShifts = JSON.parse(JSON.stringify(document));
+    brokenShifts.exceptions[0].shiftHours = [11, 9, 8, 7];
+    assert.throws(() => CalendarBuilder.fromJSON(brokenShifts), { name: "CalendarSchemaError", message: /invalid shifts/ });
+});
@@ -0,0 +1,85 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let weekDay = function (type, times) {
+    let xml = "<WeekDay><DayType>" + type + "</DayType><DayWorking>" + (times ? 1 : 0) + "</DayWorking>";
+    if (times) {
+        xml += "<WorkingTimes>" + times.map(time => {
+            return "<WorkingTime><FromTime>" + time[0] + "</FromTime><ToTime>" + time[1] + "</ToTime></WorkingTime>";
+        }).join("") + "</WorkingTimes>";
+    }
+    return xml + "</WeekDay>";
+};
+
+let office = [["08:00:00", "12:00:00"], ["13:00:00", "17:00:00"]];
+
+let xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Project xmlns="http://schemas.microsoft.com/project">
+<Calendars>
+<Calendar><UID>1</UID><Name>Standard</Name><IsBaseCalendar>1</IsBaseCalendar><BaseCalendarUID>-1</BaseCalendarUID>
+<WeekDays>${[1, 2, 3, 4, 5, 6, 7].map(type => weekDay(type, type > 1 && type < 7 ? office : null)).join("")}</WeekDays>
+<Exceptions>
+<Exception><TimePeriod><FromDate>2024-12-24T00:00:00</FromDate><ToDate>2024-12-31T23:59:00</ToDate></TimePeriod><Name>Christmas</Name><Type>1</Type><DayWorking>0</DayWorking></Exception>
+<Exception><TimePeriod><FromDate>2024-01-01T00:00:00</FromDate><ToDate>2030-12-31T23:59:00</ToDate></TimePeriod><Name>Memorial Day</Name><Type>3</Type><Period>1</Period><Month>4</Month><MonthItem>4</MonthItem><MonthPosition>4</MonthPosition><DayWorking>0</DayWorking></Exception>
+</Exceptions>
+<WorkWeeks><WorkWeek><TimePeriod><FromDate>2024-07-01T00:00:00</FromDate><ToDate>2024-08-31T23:59:00</ToDate></TimePeriod><Name>Summer</Name><WeekDays>${weekDay(6)}</WeekDays></WorkWeek></WorkWeeks>
+</Calendar>
+<Calendar><UID>2</UID><Name>Alice</Name><IsBaseCalendar>0</IsBaseCalendar><BaseCalendarUID>1</BaseCalendarUID>
+<WeekDays>${weekDay(4)}</WeekDays>
+</Calendar>
+</Calendars></Project>`;
+
+let getHours = function (calendar, startDay, endDay) {
+    return calendar.calculateWorkingDuration(startDay + "T00:00:00Z", endDay + "T00:00:00Z", "hour");
+};
+
+/**
+ * Working hours of the weeks the test calendar treats differently.
+ * @param {Calendar} calendar
+ * @returns {number[]}
+ */
+let getWeeks = function (calendar) {
+    return [
+        getHours(calendar, "2024-03-04", "2024-03-09"),
+        getHours(calendar, "2024-05-27", "2024-06-01"),
+        getHours(calendar, "2024-07-01", "2024-07-06"),
+        getHours(calendar, "2024-12-23", "2024-12-28"),
+        getHours(calendar, "2027-05-31", "2027-06-05")
+    ];
+};
+
+test("reads weekdays, exceptions and work weeks", () => {
+    let { builder, unsupported } = CalendarBuilder.fromMSProject(xml, { calendar: "Standard", timeZone: "UTC" });
+    assert.deepStrictEqual(unsupported, []);
+    // Memorial Day, summer Fridays off and Christmas
+    assert.deepStrictEqual(getWeeks(builder.build()), [40, 32, 32, 8, 32]);
+});
+
+test("reads derived calendars with their base calendar", () => {
+    let calendar = CalendarBuilder.fromMSProject(xml, { calendar: "Alice", timeZone: "UTC" }).builder.build();
+    assert.ok(calendar.getBaseCalendar());
+    assert.deepStrictEqual(getWeeks(calendar), [32, 24, 24, 8, 24]);
+});
+
+test("writes calendars that read back the same", () => {
+    let calendar = CalendarBuilder.fromMSProject(xml, { calendar: "Standard", timeZone: "UTC" }).builder.build();
+    let exported = calendar.toMSProject({ name: "Standard" });
+    assert.match(exported.xml, /<Name>Standard<\/Name>/);
+    let imported = CalendarBuilder.fromMSProject(exported.xml, { timeZone: "UTC" });
+    assert.deepStrictEqual(imported.unsupported, []);
+    assert.deepStrictEqual(getWeeks(imported.builder.build()), getWeeks(calendar));
+});
+
+test("lists what MS Project has no counterpart for", () => {
+    let calendar = new CalendarBuilder()
+        .setTimeZone("Europe/Berlin")
+        .setDefaultWorkTime({ shiftHours: [8, 16], availability: 0.5 })
+        .setRecurringException({ frequency: "yearly", easterOffset: -2 }, false)
+        .build();
+    let unsupported = calendar.toMSProject({ name: "Plant" }).unsupported;
+    assert.strictEqual(unsupported.length, 3);
+    assert.match(unsupported[0], /^Time-zone Europe\/Berlin is not written/);
+    assert.match(unsupported[1], /^Plant: Availability of shifts is not written/);
+    assert.match(unsupported[2], /^Plant: Recurring exception 1 /);
+});
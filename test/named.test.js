@@ -0,0 +1,115 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false);
+};
+
+/**
+ * Summer of 2019 with holidays, a plant shutdown range, a
+ * working Saturday and a recurring company day.
+ */
+let calendar = newBuilder()
+    .setException("2019-07-04", false, { name: "Independence Day", category: "public holiday", metadata: { regions: ["US"] } })
+    .setException("2019-09-02", false, { name: "Labor Day", category: "public holiday" })
+    .setExceptionRange("2019-08-05", "2019-08-09", false, { name: "Shutdown", category: "plant", metadata: { plant: 2 } })
+    .setException("2019-07-13", { shiftHours: [9, 13] }, { name: "Inventory", category: "overtime" })
+    .setRecurringException({ frequency: "monthly", date: 15 }, false, { name: "Company day", category: "company" })
+    .build();
+
+/**
+ * Exception records between two dates as `[name, start, end]`.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {Function|object} filter
+ * @returns {Array[]}
+ */
+let getRecords = function (startDate, endDate, filter) {
+    return calendar.getExceptionsBetween(startDate, endDate, filter).map(record => {
+        return [record.name, record.start.toISOString().slice(0, 10), record.end.toISOString().slice(0, 10)];
+    });
+};
+
+test("exceptions keep their name, category and metadata", () => {
+    assert.deepStrictEqual(calendar.getExceptionFor("2019-07-04T10:00:00Z"), {
+        start: new Date("2019-07-04T00:00:00Z"),
+        end: new Date("2019-07-05T00:00:00Z"),
+        type: "date",
+        name: "Independence Day",
+        category: "public holiday",
+        metadata: { regions: ["US"] },
+        isWorking: false
+    });
+    let inventory = calendar.getExceptionFor("2019-07-13T10:00:00Z");
+    assert.deepStrictEqual([inventory.name, inventory.isWorking, inventory.shiftHours], ["Inventory", true, [9, 13]]);
+    assert.deepStrictEqual(calendar.getExceptionFor("2019-08-07T10:00:00Z").metadata, { plant: 2 });
+    assert.deepStrictEqual([calendar.getExceptionFor("2019-10-15").type, calendar.getExceptionFor("2019-10-15").name], ["recurring", "Company day"]);
+    // Without details the record has nulls and empty metadata
+    let unnamed = newBuilder().setException("2019-07-04", false).build().getExceptionFor("2019-07-04");
+    assert.deepStrictEqual([unnamed.name, unnamed.category, unnamed.metadata], [null, null, {}]);
+    assert.strictEqual(calendar.getExceptionFor("2019-07-03"), null);
+});
+
+test("metadata is copied in and out, and replaced with the exception", () => {
+    let metadata = { regions: ["US"] };
+    let builder = newBuilder().setException("2019-07-04", false, { name: "Holiday", metadata: metadata });
+    metadata.regions.push("CA");
+    let calendar = builder.build();
+    assert.deepStrictEqual(calendar.getExceptionFor("2019-07-04").metadata, { regions: ["US"] });
+    assert.deepStrictEqual(calendar.getExceptions()[0].metadata, { regions: ["US"] });
+    // Derived calendars report the exceptions of their base calendar
+    assert.strictEqual(new CalendarBuilder(calendar).build().getExceptionFor("2019-07-04").name, "Holiday");
+    // Setting the date again replaces the details along with the work time
+    let replaced = builder.setException("2019-07-04", { shiftHours: [8, 12] }).build().getExceptionFor("2019-07-04");
+    assert.deepStrictEqual([replaced.name, replaced.metadata, replaced.isWorking], [null, {}, true]);
+});
+
+test("consecutive days of the same details are reported as one range", () => {
+    let builder = newBuilder()
+        .setExceptionRange("2019-12-23", "2019-12-27", false, { name: "Break" })
+        .setException("2019-12-30", false, { name: "Break" })
+        .setException("2019-12-31", false, { name: "Break" })
+        .setException("2019-12-25", false, { name: "Christmas" });
+    assert.deepStrictEqual(builder.build().getExceptions(true).map(range => {
+        return [range.name, range.start.toISOString().slice(0, 10), range.end.toISOString().slice(0, 10)];
+    }), [
+        ["Break", "2019-12-23", "2019-12-24"],
+        ["Christmas", "2019-12-25", "2019-12-25"],
+        ["Break", "2019-12-26", "2019-12-27"],
+        ["Break", "2019-12-30", "2019-12-31"]
+    ]);
+});
+
+test("range queries report every exception once, in order", () => {
+    assert.deepStrictEqual(getRecords("2019-07-01", "2019-09-03"), [
+        ["Independence Day", "2019-07-04", "2019-07-05"],
+        ["Inventory", "2019-07-13", "2019-07-14"],
+        ["Company day", "2019-07-15", "2019-07-16"],
+        ["Shutdown", "2019-08-05", "2019-08-10"],
+        ["Company day", "2019-08-15", "2019-08-16"],
+        ["Labor Day", "2019-09-02", "2019-09-03"]
+    ]);
+    // A range overlapping the query is reported whole, the end date is excluded
+    assert.deepStrictEqual(getRecords("2019-08-07T12:00:00Z", "2019-08-15"), [["Shutdown", "2019-08-05", "2019-08-10"]]);
+    assert.deepStrictEqual(getRecords("2019-07-05", "2019-07-13"), []);
+});
+
+test("range queries filter by properties, lists of values or functions", () => {
+    assert.deepStrictEqual(getRecords("2019-07-01", "2019-10-01", { category: "public holiday" }).map(record => record[0]), ["Independence Day", "Labor Day"]);
+    assert.deepStrictEqual(getRecords("2019-07-01", "2019-10-01", { category: ["plant", "overtime"] }).map(record => record[0]), ["Inventory", "Shutdown"]);
+    assert.strictEqual(getRecords("2019-07-01", "2019-10-01", { type: "recurring", name: "Company day" }).length, 3);
+    assert.deepStrictEqual(getRecords("2019-07-01", "2019-10-01", record => record.isWorking).map(record => record[0]), ["Inventory"]);
+    assert.deepStrictEqual(getRecords("2019-07-01", "2019-10-01", record => record.metadata.plant == 2).map(record => record[0]), ["Shutdown"]);
+    assert.throws(() => calendar.getExceptionsBetween("2019-07-01", "2019-10-01", "public holiday"), /Filter must be a function or an object/);
+});
+
+test("rejects details that are not text or objects", () => {
+    let newStrictBuilder = () => newBuilder().setStrictMode(true);
+    assert.throws(() => newStrictBuilder().setException("2019-07-04", false, { name: 4 }), { code: "INVALID_ARGUMENTS" });
+    assert.throws(() => newStrictBuilder().setException("2019-07-04", false, "Holiday"), { code: "INVALID_ARGUMENTS" });
+    assert.throws(() => newStrictBuilder().setExceptionRange("2019-07-01", "2019-07-04", false, { metadata: "plant 2" }), { code: "INVALID_ARGUMENTS" });
+});
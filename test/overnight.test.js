@@ -0,0 +1,53 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false)
+        .setDurationUnit("hour");
+};
+
+/**
+ * Night shifts from 22:00 to 06:00 on weekdays, none starting on
+ * Wednesday the 3rd and an earlier one on Wednesday the 10th.
+ */
+let nights = newBuilder()
+    .setDefaultWorkTime({ shiftHours: [22, 6] })
+    .setException("2019-07-03", false)
+    .setException("2019-07-10", { shiftHours: [20, 2] })
+    .build();
+
+test("overnight shifts run past midnight in both directions", () => {
+    assert.strictEqual(nights.calculateEndDate("2019-07-01T22:00:00Z", 8).toISOString(), "2019-07-02T06:00:00.000Z");
+    assert.strictEqual(nights.calculateEndDate("2019-07-01T23:00:00Z", 10).toISOString(), "2019-07-03T01:00:00.000Z");
+    assert.strictEqual(nights.calculateEndDate("2019-07-02T05:00:00Z", -3).toISOString(), "2019-07-02T02:00:00.000Z");
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-01T23:00:00Z", "2019-07-02T03:00:00Z"), 4);
+});
+
+test("overnight shifts of the last working day spill into the week-end", () => {
+    // Thursday night's end, Friday night, and Monday night up to midnight
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-05T00:00:00Z", "2019-07-09T00:00:00Z"), 16);
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-06T00:00:00Z", "2019-07-08T00:00:00Z"), 6);
+    assert.strictEqual(nights.calculateEndDate("2019-07-05T22:00:00Z", 12).toISOString(), "2019-07-09T02:00:00.000Z");
+    assert.strictEqual(nights.calculateEndDate("2019-07-09T02:00:00Z", -12).toISOString(), "2019-07-05T22:00:00.000Z");
+
+    // A night shift of a week-off day leads into the day shift of Monday
+    let sunday = newBuilder().setIndividualWorkTime(0, { shiftHours: [22, 6] }).build();
+    assert.strictEqual(sunday.calculateWorkingDuration("2019-07-07T00:00:00Z", "2019-07-08T12:00:00Z"), 12);
+    assert.strictEqual(sunday.calculateEndDate("2019-07-07T23:00:00Z", 9).toISOString(), "2019-07-08T10:00:00.000Z");
+    assert.strictEqual(sunday.calculateEndDate("2019-07-08T10:00:00Z", -4).toISOString(), "2019-07-08T04:00:00.000Z");
+});
+
+test("exceptions replace the shifts starting on their day only", () => {
+    // Tuesday's night shift still ends on the non-working Wednesday
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-03T00:00:00Z", "2019-07-04T00:00:00Z"), 6);
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-02T12:00:00Z", "2019-07-04T12:00:00Z"), 8);
+    assert.strictEqual(nights.calculateEndDate("2019-07-03T04:00:00Z", 4).toISOString(), "2019-07-05T00:00:00.000Z");
+    // and the exception's own overnight shift ends on Thursday
+    assert.strictEqual(nights.calculateWorkingDuration("2019-07-10T00:00:00Z", "2019-07-11T12:00:00Z"), 12);
+    assert.strictEqual(nights.calculateEndDate("2019-07-10T20:00:00Z", 7).toISOString(), "2019-07-11T23:00:00.000Z");
+    assert.strictEqual(nights.calculateEndDate("2019-07-11T06:00:00Z", -8).toISOString(), "2019-07-10T04:00:00.000Z");
+});
@@ -0,0 +1,106 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Days on which a rule applies between two dates.
+ * @param {object} rule
+ * @param {String} startDate
+ * @param {String} endDate
+ * @param {Function} setUp - Further setup of the builder
+ * @returns {String[]}
+ */
+let getDays = function (rule, startDate, endDate, setUp) {
+    let builder = new CalendarBuilder().setTimeZoneOffset(0);
+    if (setUp) setUp(builder);
+    let calendar = builder.setRecurringException(rule, false, { name: "Rule" }).build();
+    return calendar.getExceptionsBetween(startDate, endDate, { name: "Rule" }).map(record => record.start.toISOString().slice(0, 10));
+};
+
+test("weekly rules recur on their days, every interval weeks from the start", () => {
+    assert.deepStrictEqual(getDays({ frequency: "weekly", day: 5 }, "2019-07-01", "2019-07-20"), [
+        "2019-07-05", "2019-07-12", "2019-07-19"
+    ]);
+    assert.deepStrictEqual(getDays({ frequency: "weekly", day: [1, 3], interval: 2, start: "2019-07-01" }, "2019-06-20", "2019-07-31"), [
+        "2019-07-01", "2019-07-03", "2019-07-15", "2019-07-17", "2019-07-29"
+    ]);
+});
+
+test("monthly and yearly rules recur on dates of the month", () => {
+    // Months without the date are left out, negative dates count from the end
+    assert.deepStrictEqual(getDays({ frequency: "monthly", date: 31 }, "2019-01-01", "2019-06-05"), [
+        "2019-01-31", "2019-03-31", "2019-05-31"
+    ]);
+    assert.deepStrictEqual(getDays({ frequency: "monthly", date: -1 }, "2019-12-15", "2020-03-05"), [
+        "2019-12-31", "2020-01-31", "2020-02-29"
+    ]);
+    assert.deepStrictEqual(getDays({ frequency: "yearly", month: 11, date: 25 }, "2019-01-01", "2023-01-01"), [
+        "2019-12-25", "2020-12-25", "2021-12-25", "2022-12-25"
+    ]);
+});
+
+test("nth weekday rules count from the start or the end of the month", () => {
+    // Last Monday of May
+    assert.deepStrictEqual(getDays({ frequency: "yearly", month: 4, day: 1, nth: -1 }, "2019-01-01", "2022-01-01"), [
+        "2019-05-27", "2020-05-25", "2021-05-31"
+    ]);
+    // Fourth Thursday of November
+    assert.deepStrictEqual(getDays({ frequency: "yearly", month: 10, day: 4, nth: 4 }, "2019-01-01", "2022-01-01"), [
+        "2019-11-28", "2020-11-26", "2021-11-25"
+    ]);
+    // Only months with five Fridays have a fifth one
+    assert.deepStrictEqual(getDays({ frequency: "monthly", day: 5, nth: 5 }, "2019-01-01", "2020-01-01"), [
+        "2019-03-29", "2019-05-31", "2019-08-30", "2019-11-29"
+    ]);
+});
+
+test("business day rules skip week-offs and exceptions", () => {
+    assert.deepStrictEqual(getDays({ frequency: "monthly", businessDay: 1 }, "2019-05-01", "2019-10-01"), [
+        "2019-05-01", "2019-06-03", "2019-07-01", "2019-08-01", "2019-09-02"
+    ]);
+    assert.deepStrictEqual(getDays({ frequency: "monthly", businessDay: -1 }, "2019-05-01", "2019-10-01"), [
+        "2019-05-31", "2019-06-28", "2019-07-31", "2019-08-30", "2019-09-30"
+    ]);
+    let setNewYear = builder => builder.setException("2020-01-01", false);
+    assert.deepStrictEqual(getDays({ frequency: "monthly", businessDay: 1 }, "2019-12-15", "2020-02-15", setNewYear), [
+        "2020-01-02", "2020-02-03"
+    ]);
+});
+
+test("Easter rules follow the date of Easter Sunday", () => {
+    assert.deepStrictEqual(getDays({ frequency: "yearly", easterOffset: -2 }, "2019-01-01", "2022-01-01"), [
+        "2019-04-19", "2020-04-10", "2021-04-02"
+    ]);
+    // Easter in March and on its latest date in April
+    assert.deepStrictEqual(getDays({ frequency: "yearly", easterOffset: 1 }, "2024-01-01", "2025-01-01"), ["2024-04-01"]);
+    assert.deepStrictEqual(getDays({ frequency: "yearly", easterOffset: 0 }, "2038-01-01", "2039-01-01"), ["2038-04-25"]);
+});
+
+test("observed rules move occurrences on week-offs to the next working day", () => {
+    assert.deepStrictEqual(getDays({ frequency: "yearly", month: 11, date: 25, observed: true }, "2019-01-01", "2023-01-01"), [
+        "2019-12-25", "2020-12-25", "2021-12-27", "2022-12-26"
+    ]);
+    let rule = { frequency: "yearly", month: 6, date: 4, observed: true, start: "2020-01-01", end: "2021-12-31" };
+    assert.deepStrictEqual(getDays(rule, "2019-01-01", "2023-01-01"), ["2020-07-06", "2021-07-05"]);
+});
+
+test("dates set on their own take precedence over rules, later rules over earlier ones", () => {
+    let calendar = new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setDurationUnit("hour")
+        .setRecurringException({ frequency: "weekly", day: 5 }, { shiftHours: [8, 12] })
+        .setRecurringException({ frequency: "monthly", date: 5 }, false)
+        .setException("2019-07-12", { shiftHours: [8, 10] })
+        .build();
+    let getFriday = date => calendar.calculateWorkingDuration(date + "T00:00:00Z", date + "T23:59:59Z");
+    assert.deepStrictEqual(["2019-07-05", "2019-07-12", "2019-07-19"].map(getFriday), [0, 2, 4]);
+});
+
+test("rejects rules that can't recur", t => {
+    t.mock.method(console, "error", () => {});
+    let builder = new CalendarBuilder()
+        .setRecurringException({ frequency: "yearly", month: 12, date: 4 }, false)
+        .setRecurringException({ frequency: "monthly", day: 1, nth: 6 }, false);
+    assert.deepStrictEqual(builder.validate().map(problem => problem.code), ["INVALID_RULE", "INVALID_RULE"]);
+    assert.throws(() => new CalendarBuilder().setStrictMode(true).setRecurringException({ frequency: "daily" }, false), { code: "INVALID_RULE" });
+});
@@ -0,0 +1,61 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function (baseCalendar) {
+    return new CalendarBuilder(baseCalendar)
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false);
+};
+
+let createPool = function () {
+    let calendar = newBuilder().build();
+    let halfTime = newBuilder(calendar).setDefaultWorkTime({ shiftHours: [8, 12, 13, 17], availability: 0.5 }).build();
+    return new CalendarBuilder.ResourcePool({ calendar: calendar })
+        .addResource({ id: "alice" })
+        .addResource({ id: "bob", calendar: halfTime })
+        .addResource({ id: "team", maxUnits: 2 })
+        .addAssignment({ resource: "alice", task: "design", start: "2019-07-01T08:00:00Z", finish: "2019-07-03T17:00:00Z" })
+        .addAssignment({ resource: "alice", task: "review", start: "2019-07-02T13:00:00Z", finish: "2019-07-04T12:00:00Z", units: 0.5 })
+        .addAssignment({ resource: "bob", task: "build", start: "2019-07-01T08:00:00Z", finish: "2019-07-01T17:00:00Z", units: 0.5 })
+        .addAssignment({ resource: "bob", task: "test", start: "2019-07-01T15:00:00Z", finish: "2019-07-02T10:00:00Z", units: 0.25 })
+        .addAssignment({ resource: "team", task: "rollout", start: "2019-07-01T08:00:00Z", finish: "2019-07-02T17:00:00Z", units: 2 });
+};
+
+test("splits working intervals where assignments begin or end", () => {
+    let alice = createPool().getAllocation("2019-07-01T00:00:00Z", "2019-07-06T00:00:00Z", "hour").alice;
+    let intervals = alice.intervals.slice(1, 5).map(interval => {
+        return [interval.start.toISOString(), interval.workingTime, interval.load, interval.tasks.join()];
+    });
+    assert.deepStrictEqual(intervals, [
+        ["2019-07-02T08:00:00.000Z", 5, 1, "design"],
+        ["2019-07-02T13:00:00.000Z", 3, 1.5, "design,review"],
+        ["2019-07-03T08:00:00.000Z", 8, 1.5, "design,review"],
+        ["2019-07-04T08:00:00.000Z", 4, 0.5, "review"]
+    ]);
+});
+
+test("reports over-allocations joined across non-working time", () => {
+    let allocation = createPool().getAllocation("2019-07-01T00:00:00Z", "2019-07-06T00:00:00Z", "hour");
+    assert.deepStrictEqual(allocation.alice.overAllocations, [{
+        start: new Date("2019-07-02T13:00:00Z"),
+        end: new Date("2019-07-03T16:00:00Z"),
+        workingTime: 11,
+        peakLoad: 1.5,
+        excess: 5.5,
+        tasks: ["design", "review"]
+    }]);
+    // Bob is only half available, so a quarter on top of half overbooks him
+    assert.strictEqual(allocation.bob.intervals[0].availability, 0.5);
+    assert.deepStrictEqual(allocation.bob.overAllocations.map(span => [span.start.toISOString(), span.peakLoad, span.excess]), [
+        ["2019-07-01T15:00:00.000Z", 0.75, 0.5]
+    ]);
+    assert.deepStrictEqual(allocation.team.overAllocations, []);
+});
+
+test("rejects unknown resources and resources without a calendar", () => {
+    assert.throws(() => createPool().addAssignment({ resource: "nobody", task: "x", start: 0, finish: 1 }), /nobody does not exist/);
+    assert.throws(() => new CalendarBuilder.ResourcePool().addResource({ id: "carol" }), /carol has no calendar/);
+    assert.throws(() => createPool().addResource({ id: "alice" }), /alice already exists/);
+});
@@ -0,0 +1,90 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let buildCalendar = function () {
+    return new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setIndividualWorkTime(0, false)
+        .setIndividualWorkTime(6, false)
+        .setDurationUnit("hour")
+        .build();
+};
+
+test("schedules tasks through dependencies, lags and constraints", () => {
+    let scheduler = new CalendarBuilder.Scheduler({ calendar: buildCalendar(), start: "2019-07-01T08:00:00Z" });
+    scheduler
+        .addTask({ id: "design", duration: 16 })
+        .addTask({ id: "build", duration: "1w", constraint: { type: "SNET", date: "2019-07-08T08:00:00Z" } })
+        .addTask({ id: "docs", duration: 8 })
+        .addDependency({ predecessor: "design", successor: "build", type: "FS", lag: 8 })
+        .addDependency({ predecessor: "design", successor: "docs" });
+    let result = scheduler.schedule();
+    let design = result.tasks.design;
+    let build = result.tasks.build;
+    let docs = result.tasks.docs;
+
+    assert.strictEqual(design.earlyFinish.toISOString(), "2019-07-02T16:00:00.000Z");
+    assert.strictEqual(build.earlyStart.toISOString(), "2019-07-08T08:00:00.000Z");
+    assert.strictEqual(build.earlyFinish.toISOString(), "2019-07-12T16:00:00.000Z");
+    assert.strictEqual(result.finish.toISOString(), "2019-07-12T16:00:00.000Z");
+
+    // Design may slip until the lag before build runs out on Friday
+    assert.strictEqual(design.lateFinish.toISOString(), "2019-07-04T16:00:00.000Z");
+    assert.strictEqual(design.totalFloat, 16);
+    // but docs follows it right away
+    assert.strictEqual(design.freeFloat, 0);
+    assert.strictEqual(docs.totalFloat, docs.freeFloat);
+    assert.deepStrictEqual(result.criticalPaths, [["build"]]);
+});
+
+test("follows critical chains through dependencies without float", () => {
+    let scheduler = new CalendarBuilder.Scheduler({ calendar: buildCalendar(), start: "2019-07-01T08:00:00Z" });
+    scheduler
+        .addTask({ id: "spec", duration: 8 })
+        .addTask({ id: "backend", duration: 16 })
+        .addTask({ id: "frontend", duration: 16 })
+        .addTask({ id: "manual", duration: 8 })
+        .addTask({ id: "release", duration: 8 })
+        .addTask({ id: "audit", duration: 32 })
+        .addDependency({ predecessor: "spec", successor: "backend" })
+        .addDependency({ predecessor: "spec", successor: "frontend" })
+        .addDependency({ predecessor: "spec", successor: "manual" })
+        .addDependency({ predecessor: "backend", successor: "release" })
+        .addDependency({ predecessor: "frontend", successor: "release" })
+        .addDependency({ predecessor: "manual", successor: "release" });
+    let result = scheduler.schedule();
+    assert.strictEqual(result.tasks.manual.totalFloat, 8);
+    // The audit runs alongside the whole chain, on a path of its own
+    assert.deepStrictEqual(result.criticalPaths, [
+        ["spec", "backend", "release"],
+        ["spec", "frontend", "release"],
+        ["audit"]
+    ]);
+});
+
+test("critical tasks are not chained through dependencies with float", () => {
+    let scheduler = new CalendarBuilder.Scheduler({ calendar: buildCalendar(), start: "2019-07-01T08:00:00Z" });
+    scheduler
+        .addTask({ id: "order", duration: 8 })
+        .addTask({ id: "install", duration: 8, constraint: { type: "MSO", date: "2019-07-04T08:00:00Z" } })
+        .addDependency({ predecessor: "order", successor: "install" });
+    let result = scheduler.schedule();
+    // Install is pinned and finishes the project, while order could slip two days
+    assert.strictEqual(result.tasks.order.totalFloat, 16);
+    assert.deepStrictEqual(result.criticalPaths, [["install"]]);
+});
+
+test("reports dependency cycles with their tasks", () => {
+    let scheduler = new CalendarBuilder.Scheduler({ calendar: buildCalendar(), start: "2019-07-01T08:00:00Z" });
+    scheduler
+        .addTask({ id: "a", duration: 8 })
+        .addTask({ id: "b", duration: 8 })
+        .addDependency({ predecessor: "a", successor: "b" })
+        .addDependency({ predecessor: "b", successor: "a" });
+    assert.throws(() => scheduler.schedule(), error => {
+        assert.strictEqual(error.name, "DependencyCycleError");
+        assert.deepStrictEqual(error.tasks, ["a", "b"]);
+        return true;
+    });
+});
@@ -0,0 +1,43 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let newBuilder = function () {
+    return new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour");
+};
+
+let plant = newBuilder()
+    .setDefaultWorkTime({ shiftHours: [6, 14, 14, 22], shiftNames: ["Early", "Late"], availability: [1, 0.5] })
+    .build();
+
+test("reports named shifts and counts them only", () => {
+    assert.deepStrictEqual(plant.getShiftAt("2019-07-01T15:00:00Z"), {
+        name: "Late",
+        start: new Date("2019-07-01T14:00:00Z"),
+        end: new Date("2019-07-01T22:00:00Z")
+    });
+    assert.strictEqual(plant.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-02T00:00:00Z", "hour", { shifts: ["Late"] }), 8);
+    assert.strictEqual(plant.calculateEndDate("2019-07-01T06:00:00Z", 10, "hour", { shifts: ["Early"] }).toISOString(), "2019-07-02T08:00:00.000Z");
+});
+
+test("combined calendars keep shift names the calendars agree on", () => {
+    let early = newBuilder().setDefaultWorkTime({ shiftHours: [6, 14], shiftNames: ["Early"] }).build();
+    let office = newBuilder().setDefaultWorkTime({ shiftHours: [8, 16] }).build();
+    assert.deepStrictEqual(plant.intersect(early).getShifts("2019-07-01T00:00:00Z").map(shift => shift.name), ["Early"]);
+    let shifts = plant.union(office).getShifts("2019-07-01T00:00:00Z");
+    assert.deepStrictEqual(shifts.map(shift => [shift.name, shift.start.getUTCHours(), shift.end.getUTCHours()]), [
+        ["Early", 6, 8],
+        [null, 8, 16],
+        ["Late", 16, 22]
+    ]);
+    assert.strictEqual(plant.union(office).calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-02T00:00:00Z", "hour", { shifts: ["Late"] }), 6);
+});
+
+test("combined calendars keep the availability of their shifts", () => {
+    let office = newBuilder().setDefaultWorkTime({ shiftHours: [8, 16], availability: 0.75 }).build();
+    let day = ["2019-07-01T00:00:00Z", "2019-07-02T00:00:00Z"];
+    // The least available calendar during 8 to 16
+    assert.strictEqual(plant.intersect(office).calculateEffort(day[0], day[1], "hour"), 6 * 0.75 + 2 * 0.5);
+    // The most available calendar working, from 6 to 22
+    assert.strictEqual(plant.union(office).calculateEffort(day[0], day[1], "hour"), 8 + 2 * 0.75 + 6 * 0.5);
+});
@@ -0,0 +1,77 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setIndividualWorkTime(0, false)
+    .setIndividualWorkTime(6, false)
+    .setDefaultWorkTime({ shiftHours: [9, 17] })
+    .build();
+
+/**
+ * Ticket answered after waiting on the customer from Tuesday
+ * morning to Thursday afternoon.
+ * @returns {SlaTimer}
+ */
+let createTimer = function () {
+    return new CalendarBuilder.SlaTimer({ calendar: calendar, target: "8h", unit: "hour" })
+        .start("2019-07-01T15:00:00Z")
+        .pause("2019-07-02T10:00:00Z")
+        .resume("2019-07-04T16:00:00Z")
+        .stop("2019-07-05T16:00:00Z");
+};
+
+test("counts business time while running only", () => {
+    let timer = new CalendarBuilder.SlaTimer({ calendar: calendar, target: "8h", unit: "hour" });
+    assert.strictEqual(timer.getState(), "idle");
+    assert.strictEqual(timer.getBreachDate(), null);
+    timer.start("2019-07-01T15:00:00Z");
+    assert.strictEqual(timer.getElapsed("2019-07-02T10:00:00Z"), 3);
+    assert.strictEqual(timer.getRemaining("2019-07-02T10:00:00Z"), 5);
+    assert.strictEqual(timer.getBreachDate().toISOString(), "2019-07-02T15:00:00.000Z");
+    timer.pause("2019-07-02T10:00:00Z");
+    assert.strictEqual(timer.getState(), "paused");
+    assert.strictEqual(timer.getElapsed("2019-07-05T10:00:00Z"), 3);
+    assert.strictEqual(timer.getBreachDate(), null);
+});
+
+test("predicts and reports breaches", () => {
+    let timer = createTimer();
+    assert.strictEqual(timer.getState(), "stopped");
+    assert.strictEqual(timer.getBreachDate().toISOString(), "2019-07-05T13:00:00.000Z");
+    assert.strictEqual(timer.isBreached("2019-07-05T12:00:00Z"), false);
+    assert.strictEqual(timer.isBreached("2019-07-05T15:00:00Z"), true);
+    assert.strictEqual(timer.getElapsed("2019-07-09T00:00:00Z"), 11);
+    assert.strictEqual(timer.getRemaining("2019-07-09T00:00:00Z"), -3);
+});
+
+test("replays its event log", () => {
+    let json = JSON.stringify(createTimer());
+    let replayed = CalendarBuilder.SlaTimer.fromJSON(json, calendar);
+    assert.strictEqual(JSON.stringify(replayed), json);
+    assert.strictEqual(replayed.getElapsed("2019-07-09T00:00:00Z"), 11);
+    assert.throws(() => CalendarBuilder.SlaTimer.fromJSON("{", calendar), { name: "CalendarValidationError", code: "INVALID_SLA_LOG" });
+    assert.throws(() => CalendarBuilder.SlaTimer.fromJSON({ target: 8 }, calendar), { code: "INVALID_SLA_LOG" });
+    let strictCalendar = new CalendarBuilder().setStrictMode(true).build();
+    assert.throws(() => CalendarBuilder.SlaTimer.fromJSON({ target: 8, unit: "hours", events: [] }, strictCalendar), { code: "INVALID_UNIT", value: "hours" });
+    assert.throws(() => CalendarBuilder.SlaTimer.fromJSON({ target: 8, events: [] }, strictCalendar), { code: "INVALID_UNIT" });
+});
+
+test("rejects invalid events, targets and units", () => {
+    assert.throws(() => createTimer().resume("2019-07-10T00:00:00Z"), /cannot resume when stopped/);
+    let timer = new CalendarBuilder.SlaTimer({ calendar: calendar, target: 1 }).start("2019-07-02");
+    assert.throws(() => timer.pause("2019-07-01"), /chronological order/);
+    assert.throws(() => new CalendarBuilder.SlaTimer({ calendar: calendar, target: -1 }), /positive business time/);
+    let strictCalendar = new CalendarBuilder().setStrictMode(true).build();
+    assert.throws(() => new CalendarBuilder.SlaTimer({ calendar: strictCalendar, target: 1, unit: "fortnight" }), { code: "INVALID_UNIT" });
+    assert.strictEqual(new CalendarBuilder.SlaTimer({ calendar: calendar, target: 1, unit: "ehour" }).unit, "ehour");
+});
+
+test("non-strict calendars measure invalid units in their duration unit", t => {
+    t.mock.method(console, "warn", () => {});
+    let builder = new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour");
+    let timer = new CalendarBuilder.SlaTimer({ calendar: builder.build(), target: 8, unit: "fortnight" });
+    assert.strictEqual(timer.unit, "hour");
+    assert.deepStrictEqual(builder.validate().map(problem => [problem.code, problem.value]), [["INVALID_UNIT", "fortnight"]]);
+});
@@ -0,0 +1,74 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Weekdays of two shifts with a lunch break from 12 to 13.
+ */
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setIndividualWorkTime(0, false)
+    .setIndividualWorkTime(6, false)
+    .setDefaultWorkTime({ shiftHours: [8, 12, 13, 17] })
+    .setDurationUnit("hour")
+    .build();
+
+/**
+ * End dates of calculations ending on the lunch break and on
+ * the weekend, forwards and backwards, with `snap`.
+ * @param {String} snap
+ * @returns {String[]}
+ */
+let getEndDates = function (snap) {
+    let options = { snap: snap };
+    return [
+        calendar.calculateEndDate("2019-07-01T08:00:00Z", 4, "hour", options),
+        calendar.calculateEndDate("2019-07-05T08:00:00Z", 8, "hour", options),
+        calendar.calculateEndDate("2019-07-01T17:00:00Z", -4, "hour", options),
+        calendar.calculateEndDate("2019-07-01T12:00:00Z", -4, "hour", options)
+    ].map(date => date.toISOString().slice(0, 16));
+};
+
+test("end dates are exact unless snapped", () => {
+    let exact = ["2019-07-01T12:00", "2019-07-05T17:00", "2019-07-01T13:00", "2019-07-01T08:00"];
+    assert.deepStrictEqual(getEndDates(undefined), exact);
+    assert.deepStrictEqual(getEndDates("exact"), exact);
+    // A zero duration keeps the start date, even off work
+    assert.strictEqual(calendar.calculateEndDate("2019-07-06T10:00:00Z", 0).toISOString(), "2019-07-06T10:00:00.000Z");
+});
+
+test("end dates snap to the start of the next working period", () => {
+    assert.deepStrictEqual(getEndDates("start-of-next"), ["2019-07-01T13:00", "2019-07-08T08:00", "2019-07-01T13:00", "2019-07-01T08:00"]);
+    let options = { snap: "start-of-next" };
+    assert.strictEqual(calendar.calculateEndDate("2019-07-06T10:00:00Z", 0, "hour", options).toISOString(), "2019-07-08T08:00:00.000Z");
+});
+
+test("end dates snap to the end of the previous working period", () => {
+    assert.deepStrictEqual(getEndDates("end-of-previous"), ["2019-07-01T12:00", "2019-07-05T17:00", "2019-07-01T12:00", "2019-06-28T17:00"]);
+    let options = { snap: "end-of-previous" };
+    assert.strictEqual(calendar.calculateEndDate("2019-07-06T10:00:00Z", 0, "hour", options).toISOString(), "2019-07-05T17:00:00.000Z");
+});
+
+test("closest work dates snap in their own direction or keep shift boundaries", () => {
+    let getFutureDates = options => ["2019-07-01T12:00:00Z", "2019-07-01T13:00:00Z", "2019-07-05T17:00:00Z"].map(date => {
+        return calendar.getClosestFutureWorkDate(date, options).toISOString().slice(0, 16);
+    });
+    assert.deepStrictEqual(getFutureDates(), ["2019-07-01T13:00", "2019-07-01T13:00", "2019-07-08T08:00"]);
+    assert.deepStrictEqual(getFutureDates({ snap: "start-of-next" }), getFutureDates());
+    assert.deepStrictEqual(getFutureDates({ snap: "exact" }), ["2019-07-01T12:00", "2019-07-01T13:00", "2019-07-05T17:00"]);
+
+    let getPastDates = options => ["2019-07-01T13:00:00Z", "2019-07-01T12:00:00Z", "2019-07-08T08:00:00Z"].map(date => {
+        return calendar.getClosestPastWorkDate(date, options).toISOString().slice(0, 16);
+    });
+    assert.deepStrictEqual(getPastDates(), ["2019-07-01T12:00", "2019-07-01T12:00", "2019-07-05T17:00"]);
+    assert.deepStrictEqual(getPastDates({ snap: "end-of-previous" }), getPastDates());
+    assert.deepStrictEqual(getPastDates({ snap: "exact" }), ["2019-07-01T13:00", "2019-07-01T12:00", "2019-07-08T08:00"]);
+});
+
+test("rejects snap policies against the direction of the lookup", () => {
+    assert.throws(() => calendar.getClosestFutureWorkDate("2019-07-01T12:00:00Z", { snap: "end-of-previous" }), /Snap policy must be "start-of-next" or "exact"/);
+    assert.throws(() => calendar.getClosestPastWorkDate("2019-07-01T13:00:00Z", { snap: "start-of-next" }), /Snap policy must be "end-of-previous" or "exact"/);
+    assert.throws(() => calendar.calculateEndDate("2019-07-01T08:00:00Z", 4, "hour", { snap: "nearest" }), /Snap policy must be "start-of-next", "end-of-previous" or "exact"/);
+    assert.throws(() => calendar.getClosestFutureWorkDate("2019-07-01T12:00:00Z", { snap: "nearest" }), /Snap policy must be/);
+    assert.throws(() => calendar.calculateEndDate("2019-07-01T08:00:00Z", 4, "hour", { roundTo: 0 }), /Rounding must be a positive number/);
+});
@@ -0,0 +1,68 @@
+// A host zone with daylight saving, so that fixed offsets can't lean on the host
+process.env.TZ = "America/New_York";
+
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Berlin calendar working through the night into Sunday, the day
+ * of both DST switches in 2019.
+ * @returns {CalendarBuilder}
+ */
+let newBerlinBuilder = function () {
+    return new CalendarBuilder()
+        .setTimeZone("Europe/Berlin")
+        .setIndividualWorkTime(0, { shiftHours: [0, 4] })
+        .setDurationUnit("hour");
+};
+
+test("shifts are wall-clock times across the switch to summer time", () => {
+    let calendar = newBerlinBuilder().build();
+    // 02:00 to 03:00 is skipped on 2019-03-31
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-03-30T23:00:00Z", "2019-03-31T22:00:00Z"), 3);
+    assert.strictEqual(calendar.calculateEndDate("2019-03-30T23:00:00Z", 2).toISOString(), "2019-03-31T01:00:00.000Z");
+    assert.strictEqual(calendar.calculateEndDate("2019-03-31T02:00:00Z", -2).toISOString(), "2019-03-31T00:00:00.000Z");
+    // Three hours on Friday afternoon in winter time, three on Sunday, two on Monday in summer time
+    assert.strictEqual(calendar.calculateEndDate("2019-03-29T12:00:00Z", 8).toISOString(), "2019-04-01T08:00:00.000Z");
+    assert.strictEqual(calendar.getClosestFutureWorkDate("2019-03-29T20:00:00Z").toISOString(), "2019-03-30T23:00:00.000Z");
+});
+
+test("shifts are wall-clock times across the switch to winter time", () => {
+    let calendar = newBerlinBuilder().build();
+    // 02:00 to 03:00 is repeated on 2019-10-27
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-10-26T22:00:00Z", "2019-10-27T23:00:00Z"), 5);
+    // End dates in the repeated hour are the instants the working time runs out at
+    let ends = [2.5, 3, 3.5].map(hours => calendar.calculateEndDate("2019-10-26T22:00:00Z", hours).toISOString());
+    assert.deepStrictEqual(ends, ["2019-10-27T00:30:00.000Z", "2019-10-27T01:00:00.000Z", "2019-10-27T01:30:00.000Z"]);
+    let starts = [1.5, 2, 2.5].map(hours => calendar.calculateEndDate("2019-10-27T03:00:00Z", -hours).toISOString());
+    assert.deepStrictEqual(starts, ["2019-10-27T01:30:00.000Z", "2019-10-27T01:00:00.000Z", "2019-10-27T00:30:00.000Z"]);
+    assert.strictEqual(calendar.calculateEndDate("2019-10-26T22:00:00Z", "3.5eh").toISOString(), "2019-10-27T01:30:00.000Z");
+    // Two hours on Friday afternoon in summer time, five on Sunday, one on Monday in winter time
+    assert.strictEqual(calendar.calculateEndDate("2019-10-25T12:00:00Z", 8).toISOString(), "2019-10-28T08:00:00.000Z");
+});
+
+test("fixed offsets do not follow daylight saving of the host", () => {
+    let calendar = new CalendarBuilder().setTimeZoneOffset(0).setDurationUnit("hour").build();
+    assert.strictEqual(calendar.getClosestFutureWorkDate("2019-07-01T00:00:00Z").toISOString(), "2019-07-01T08:00:00.000Z");
+    assert.strictEqual(calendar.getClosestFutureWorkDate("2019-12-02T00:00:00Z").toISOString(), "2019-12-02T08:00:00.000Z");
+    assert.strictEqual(calendar.calculateEndDate("2019-03-08T15:00:00Z", 2).toISOString(), "2019-03-11T09:00:00.000Z");
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-11-01T00:00:00Z", "2019-11-05T00:00:00Z"), 16);
+    let berlinWinter = new CalendarBuilder().setTimeZoneOffset(-60).build();
+    assert.strictEqual(berlinWinter.getClosestFutureWorkDate("2019-07-01T00:00:00Z").toISOString(), "2019-07-01T07:00:00.000Z");
+});
+
+test("time-zones and offsets survive a JSON round trip", () => {
+    let zoned = newBerlinBuilder().setException("2019-10-28", false).build();
+    let zonedCopy = CalendarBuilder.fromJSON(JSON.stringify(zoned));
+    assert.strictEqual(zonedCopy.getTimeZone(), "Europe/Berlin");
+    assert.strictEqual(JSON.stringify(zonedCopy), JSON.stringify(zoned));
+    assert.strictEqual(zonedCopy.calculateEndDate("2019-10-25T12:00:00Z", 8).toISOString(), "2019-10-29T08:00:00.000Z");
+    assert.strictEqual(zonedCopy.getClosestFutureWorkDate("2019-10-27T12:00:00Z").toISOString(), "2019-10-29T07:00:00.000Z");
+
+    let fixed = new CalendarBuilder().setTimeZoneOffset(-60).setException("2019-12-02", false).build();
+    let fixedCopy = CalendarBuilder.fromJSON(JSON.stringify(fixed));
+    assert.strictEqual(JSON.parse(JSON.stringify(fixedCopy)).timeZoneOffset, JSON.parse(JSON.stringify(fixed)).timeZoneOffset);
+    assert.strictEqual(fixedCopy.getClosestFutureWorkDate("2019-07-01T00:00:00Z").toISOString(), "2019-07-01T07:00:00.000Z");
+    assert.strictEqual(fixedCopy.getClosestFutureWorkDate("2019-12-02T00:00:00Z").toISOString(), "2019-12-03T07:00:00.000Z");
+});
@@ -0,0 +1,54 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+test("validate lists every rejected input with its code and value", () => {
+    let builder = new CalendarBuilder().setException("2019-07-01", false);
+    builder
+        .setTimeZone("Europe/Berlin")
+        .setIndividualWorkTime(9, { shiftHours: [8, 16] })
+        .setDefaultWorkTime({ shiftHours: [16, 8, 9, 10] })
+        .setTimePeriod({ hoursPerDay: -1 })
+        .setDurationUnit("fortnight")
+        .setException("garbage", false);
+    let problems = builder.validate();
+    assert.ok(problems.every(problem => problem.name == "CalendarValidationError"));
+    assert.deepStrictEqual(problems.map(problem => [problem.code, problem.value]), [
+        ["TIME_ZONE_LOCKED", "Europe/Berlin"],
+        ["INVALID_DAY", 9],
+        ["INVALID_SHIFT", { shiftHours: [16, 8, 9, 10] }],
+        ["INVALID_TIME_PERIOD", -1],
+        ["INVALID_UNIT", "fortnight"],
+        ["INVALID_DATE", "garbage"]
+    ]);
+    // Rejected input leaves the configuration as it was
+    let calendar = builder.build();
+    assert.strictEqual(calendar.getDurationUnit(), "minute");
+    assert.deepStrictEqual(calendar.getWorkTime(new Date("2019-07-02T12:00:00Z")).shiftHours, [8, 16]);
+    assert.deepStrictEqual(new CalendarBuilder().validate(), []);
+});
+
+test("strict builders throw the first problem", () => {
+    let newStrictBuilder = () => new CalendarBuilder().setStrictMode(true);
+    assert.throws(() => newStrictBuilder().setTimeZone("Mars/Base"), { name: "CalendarValidationError", code: "INVALID_TIME_ZONE", value: "Mars/Base" });
+    assert.throws(() => newStrictBuilder().setException("2019-07-01", false).setTimeZoneOffset(60), { code: "TIME_ZONE_LOCKED" });
+    assert.throws(() => newStrictBuilder().setDurationUnit("fortnight"), { code: "INVALID_UNIT" });
+    assert.throws(() => newStrictBuilder().setDefaultWorkTime({ shiftHours: [8, 25] }), { code: "INVALID_SHIFT" });
+    assert.throws(() => newStrictBuilder().setExceptionRange("2019-07-05", "2019-07-01", false), { code: "INVALID_DATE_RANGE" });
+    // Strict mode does not coerce shift timings
+    assert.throws(() => newStrictBuilder().setDefaultWorkTime({ shiftHours: ["8", "16"] }), { code: "INVALID_SHIFT" });
+});
+
+test("non-strict builders coerce numeric shift timings", () => {
+    let builder = new CalendarBuilder()
+        .setTimeZoneOffset(0)
+        .setDefaultWorkTime({ shiftHours: ["8", "16"], shiftMinutes: ["30", 0] })
+        .setException("2019-07-02", { shiftHours: [9.5, "12"] });
+    assert.deepStrictEqual(builder.validate(), []);
+    let calendar = builder.build();
+    let workTime = calendar.getWorkTime(new Date("2019-07-01T12:00:00Z"));
+    assert.deepStrictEqual([workTime.shiftHours, workTime.shiftMinutes], [[8, 16], [30, 0]]);
+    assert.strictEqual(calendar.calculateWorkingDuration("2019-07-01T00:00:00Z", "2019-07-03T00:00:00Z", "hour"), 7.5 + 3);
+    // Non-numeric strings are still rejected
+    assert.strictEqual(new CalendarBuilder().setDefaultWorkTime({ shiftHours: ["eight", "16"] }).validate()[0].code, "INVALID_SHIFT");
+});
@@ -0,0 +1,65 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+/**
+ * Week of 2019-07-01 with the Thursday off and a short Friday.
+ */
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setIndividualWorkTime(0, false)
+    .setIndividualWorkTime(6, false)
+    .setIndividualWorkTime(5, { shiftHours: [8, 12, 13, 15] })
+    .setException("2019-07-04", false)
+    .build();
+
+let toISOString = date => date.toISOString();
+
+test("next and previous working days keep the time of day or snap to shifts", () => {
+    assert.deepStrictEqual([
+        calendar.getNextWorkingDay("2019-07-03T10:30:00Z"),
+        calendar.getNextWorkingDay("2019-07-04T10:30:00Z"),
+        calendar.getNextWorkingDay("2019-07-05T10:30:00Z", "start"),
+        calendar.getNextWorkingDay("2019-07-06T10:30:00Z", "end")
+    ].map(toISOString), ["2019-07-05T10:30:00.000Z", "2019-07-05T10:30:00.000Z", "2019-07-08T08:00:00.000Z", "2019-07-08T16:00:00.000Z"]);
+    assert.deepStrictEqual([
+        calendar.getPreviousWorkingDay("2019-07-05T10:30:00Z"),
+        calendar.getPreviousWorkingDay("2019-07-08T10:30:00Z", "end"),
+        calendar.getPreviousWorkingDay("2019-07-07T10:30:00Z", "start")
+    ].map(toISOString), ["2019-07-03T10:30:00.000Z", "2019-07-05T15:00:00.000Z", "2019-07-05T08:00:00.000Z"]);
+});
+
+test("adding no working days stays on a working day or moves to the next one", () => {
+    assert.strictEqual(calendar.addWorkingDays("2019-07-03T10:30:00Z", 0).toISOString(), "2019-07-03T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-06T10:30:00Z", 0).toISOString(), "2019-07-08T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-06T10:30:00Z", 0, "start").toISOString(), "2019-07-08T08:00:00.000Z");
+});
+
+test("adds and subtracts working days, skipping week-offs and exceptions", () => {
+    assert.strictEqual(calendar.addWorkingDays("2019-07-03T10:30:00Z", 1).toISOString(), "2019-07-05T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-03T10:30:00Z", 3, "end").toISOString(), "2019-07-09T16:00:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-01T00:00:00Z", 10).toISOString(), "2019-07-16T00:00:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-08T10:30:00Z", -1).toISOString(), "2019-07-05T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-08T10:30:00Z", -2, "start").toISOString(), "2019-07-03T08:00:00.000Z");
+});
+
+test("counting from a non-working day starts next to it", () => {
+    assert.strictEqual(calendar.addWorkingDays("2019-07-06T10:30:00Z", 1).toISOString(), "2019-07-08T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-06T10:30:00Z", -1).toISOString(), "2019-07-05T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-04T10:30:00Z", -1).toISOString(), "2019-07-03T10:30:00.000Z");
+    assert.strictEqual(calendar.addWorkingDays("2019-07-04T10:30:00Z", 1).toISOString(), "2019-07-05T10:30:00.000Z");
+});
+
+test("working days keep the wall-clock time across DST switches", () => {
+    let berlin = new CalendarBuilder().setTimeZone("Europe/Berlin").build();
+    assert.strictEqual(berlin.getNextWorkingDay("2019-03-29T10:30:00Z").toISOString(), "2019-04-01T09:30:00.000Z");
+    assert.strictEqual(berlin.addWorkingDays("2019-03-29T10:30:00Z", 1, "start").toISOString(), "2019-04-01T06:00:00.000Z");
+    assert.strictEqual(berlin.getPreviousWorkingDay("2019-04-01T10:30:00Z", "end").toISOString(), "2019-03-29T15:00:00.000Z");
+});
+
+test("rejects fractional counts and unknown snap options", () => {
+    assert.throws(() => calendar.addWorkingDays("2019-07-01", 1.5), /must be an integer/);
+    assert.throws(() => calendar.addWorkingDays("2019-07-01", "x"), /must be an integer/);
+    assert.throws(() => calendar.addWorkingDays("2019-07-01", 1, "middle"), /Snap option must be "start" or "end"/);
+    assert.throws(() => calendar.getNextWorkingDay("2019-07-01", "middle"), /Snap option must be "start" or "end"/);
+});
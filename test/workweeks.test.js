@@ -0,0 +1,26 @@
+let { test } = require("node:test");
+let assert = require("node:assert");
+let CalendarBuilder = require("..");
+
+let calendar = new CalendarBuilder()
+    .setTimeZoneOffset(0)
+    .setWorkWeek("Summer", "2019-06-01", "2019-08-31", { 6: { shiftHours: [6, 12] } })
+    .setWorkWeek("4-day week", "2020-01-01", null, { 5: false })
+    .setDurationUnit("hour")
+    .build();
+
+test("work weeks apply within their dates", () => {
+    let getHours = (start, end) => calendar.calculateWorkingDuration(start + "T00:00:00Z", end + "T00:00:00Z");
+    assert.strictEqual(getHours("2019-03-04", "2019-03-11"), 40);
+    assert.strictEqual(getHours("2019-07-01", "2019-07-08"), 46);
+    assert.strictEqual(getHours("2020-02-03", "2020-02-10"), 32);
+});
+
+test("week offs follow the work weeks in effect on a date", () => {
+    assert.deepStrictEqual(calendar.getWeekOffs(), [0, 6]);
+    assert.deepStrictEqual(calendar.getWeekOffs("2019-03-01T12:00:00Z"), [0, 6]);
+    assert.deepStrictEqual(calendar.getWeekOffs("2019-07-01T12:00:00Z"), [0]);
+    assert.deepStrictEqual(calendar.getWeekOffs("2020-02-01T12:00:00Z"), [0, 5, 6]);
+    let derived = new CalendarBuilder(calendar).setIndividualWorkTime(1, false).build();
+    assert.deepStrictEqual(derived.getWeekOffs("2020-02-01T12:00:00Z"), [0, 1, 5, 6]);
+});